@@ -6,8 +6,162 @@ const REALMS = Object.freeze({
   PASSWORD: "Seafile FileLink",
   TOKEN: "Seafile FileLink Token",
   SHARE_PW: "Seafile FileLink SharePW",
+  LINK_PW: "Seafile FileLink LinkPW",   // Generated per-link passwords, keyed by link token
+  S2FA: "Seafile FileLink S2FA",        // "Remember this device" 2FA token, keyed by username
+  REPO_PW: "Seafile FileLink RepoPW",   // Encrypted library passwords, keyed by repo ID
 });
 
+/** How an account signs in to Seafile. */
+const AUTH_METHODS = Object.freeze({
+  PASSWORD: "password",   // Username + password (+ TOTP); password is stored
+  TOKEN: "token",         // Pasted API token; no password is stored
+  SSO: "sso",             // Browser sign-in via client-sso-link; no password is stored
+});
+
+/** Browser (SSO) sign-in polling. */
+const SSO_LOGIN = Object.freeze({
+  POLL_INTERVAL_MS: 3000,
+  TIMEOUT_MS: 5 * 60 * 1000,   // Give up if the browser sign-in is not finished by then
+});
+
+/** Interactive 2FA prompt when a token expires in the background. */
+const TWO_FACTOR_PROMPT = Object.freeze({
+  TIMEOUT_MS: 5 * 60 * 1000,   // Waiting uploads fail if no code is entered by then
+  WIDTH: 420,
+  HEIGHT: 380,
+});
+
+/** Retention policies for uploaded files. */
+const RETENTION_MODES = Object.freeze({
+  OFF: "off",
+  AGE: "age",           // Delete files older than N days
+  EXPIRED: "expired",   // Delete files whose share link has expired or is gone
+});
+
+/** Periodic retention cleanup (alarms) and its removal log (storage.local). */
+const RETENTION = Object.freeze({
+  ALARM: "retentionCleanup",
+  DELAY_MINUTES: 5,              // First run after startup
+  PERIOD_MINUTES: 24 * 60,
+  DEFAULT_DAYS: 30,
+  LOG_KEY: "retentionLog",
+  LOG_MAX_ENTRIES: 200,
+});
+
+/** Polling of share link view counts (alarms), backing off while quiet. */
+const DOWNLOAD_STATS = Object.freeze({
+  ALARM: "downloadStats",
+  KEY: "downloadStatsDelay",     // Current poll delay (storage.local)
+  MIN_DELAY_MINUTES: 10,
+  MAX_DELAY_MINUTES: 12 * 60,
+});
+
+/** Strategies that keep a new upload from replacing an existing file. */
+const UPLOAD_NAMING = Object.freeze({
+  AUTO_RENAME: "autoRename",   // Seafile appends " (1)", " (2)", … on collision
+  SUFFIX: "suffix",            // report.pdf -> report-20250101-120000-a1b2.pdf
+  SUBFOLDER: "subfolder",      // <uploadDir>/20250101-120000-a1b2/report.pdf
+});
+
+/** Resumable (Content-Range) upload settings for large attachments. */
+const CHUNKED_UPLOAD = Object.freeze({
+  THRESHOLD: 64 * 1024 * 1024,   // Files above this size are sent in chunks
+  CHUNK_SIZE: 8 * 1024 * 1024,
+  MAX_RETRIES: 3,                // Consecutive failures per chunk
+});
+
+/** Upload scheduling per account (bulk attachments). */
+const UPLOAD_QUEUE = Object.freeze({
+  MAX_CONCURRENT: 3,             // Uploads running at once per account
+  UPLOAD_LINK_TTL_MS: 30 * 60 * 1000,   // Seafile upload tokens last about an hour
+  // The user's answer holds for the whole batch: don't ask again per file
+  FINAL_ERRORS: ["2FA_CANCELLED", "2FA_TIMEOUT"],
+});
+
+/** Retries after network errors, timeouts, rate limiting and 5xx responses. */
+const REQUEST_RETRY = Object.freeze({
+  MAX_RETRIES: 3,
+  BASE_DELAY_MS: 1000,           // Doubled after every failed attempt
+  MAX_DELAY_MS: 30 * 1000,       // Also caps the server's Retry-After
+  METHODS: Object.freeze(["GET", "HEAD", "PUT", "DELETE"]),   // Safe to repeat
+});
+
+/**
+ * Schema version of account configs in storage.local.
+ * v2: secrets are looked up by server + realm + username (v1: server + realm).
+ */
+const ACCOUNT_CONFIG_VERSION = 2;
+
+/** Persisted registry of uploaded files (storage.local). */
+const UPLOAD_REGISTRY = Object.freeze({
+  KEY: "uploadedFiles",
+  VERSION: 2,
+  MAX_AGE_DAYS: 365,             // Entries older than this are pruned
+});
+
+/** Account-level share link password modes. */
+const SHARE_PASSWORD_MODES = Object.freeze({
+  FIXED: "fixed",       // One configured password for every link (may be empty)
+  RANDOM: "random",     // A new random password for every link
+});
+
+/** What happens on the server when an attachment is removed from a draft. */
+const REMOVAL_POLICIES = Object.freeze({
+  DELETE_FILE: "deleteFile",   // Revoke the share link and delete the file
+  REVOKE_LINK: "revokeLink",   // Keep the file in the library, revoke public access
+  KEEP: "keep",                // Leave file and link untouched
+});
+
+/** Per-message share link password choices (compose action popup). */
+const COMPOSE_PASSWORD_MODES = Object.freeze({
+  ACCOUNT: "account",   // Use the account's share password, if any
+  NONE: "none",
+  CUSTOM: "custom",
+});
+
+/** How long a token the server accepted is trusted without a ping. */
+const TOKEN_TRUST_MS = 5 * 60 * 1000;
+
+/** How long account info (quota) is trusted before it is fetched again. */
+const ACCOUNT_INFO_CACHE_MS = 60 * 1000;
+
+/** Persisted content-hash index of earlier uploads for reuse (storage.local). */
+const UPLOAD_INDEX = Object.freeze({
+  KEY: "uploadIndex",
+  VERSION: 1,
+});
+
+/** Ring buffer of API calls and error codes for bug reports (storage.local). */
+const DIAGNOSTICS = Object.freeze({
+  KEY: "diagnosticLog",
+  MAX_ENTRIES: 500,
+  FLUSH_DELAY_MS: 2000,          // Batch writes instead of one per request
+});
+
+/**
+ * Known causes of failed Seafile requests, checked in order: a rule matches
+ * the listed statuses or the server's error message. Statuses 440–445 come
+ * from the file server, 413 usually from a reverse proxy.
+ */
+const SERVER_ERRORS = Object.freeze([
+  { code: "QUOTA_EXCEEDED", status: [443], pattern: /out of quota|quota (is )?(full|exceeded)/i, message: "errorServerQuota" },
+  { code: "FILE_TOO_LARGE", status: [413, 442], pattern: /file (size )?is too large/i, message: "errorServerFileTooLarge" },
+  { code: "FILE_TYPE_BLOCKED", pattern: /(file type|extension|suffix).*(not allowed|blocked|forbidden)|blocked (file|extension)/i, message: "errorServerFileTypeBlocked" },
+  { code: "FILE_NAME_INVALID", status: [440], message: "errorServerFileName" },
+  { code: "LIBRARY_UNAVAILABLE", status: [444, 445], message: "errorServerLibraryUnavailable" },
+  { code: "LINK_PASSWORD_REQUIRED", pattern: /password is required/i, message: "errorServerLinkPasswordRequired" },
+  { code: "LINK_PASSWORD_REJECTED", pattern: /password is too (short|weak)/i, message: "errorServerLinkPasswordRejected" },
+  { code: "LINK_EXPIRY_REJECTED", pattern: /expire[ _]days/i, message: "errorServerLinkExpiry" },
+  { code: "SHARE_LINK_NOT_ALLOWED", pattern: /can ?not generate (share|upload) link/i, message: "errorServerLinkNotAllowed" },
+  { code: "PERMISSION_DENIED", status: [403], message: "errorServerPermission" },
+  { code: "NOT_FOUND", status: [404], message: "errorServerNotFound" },
+  { code: "RATE_LIMITED", status: [429], message: "errorServerRateLimited" },
+  { code: "SERVER_UNAVAILABLE", status: [502, 503, 504], message: "errorServerUnavailable" },
+]);
+
+/** Longest server error message quoted to the user. */
+const SERVER_ERROR_DETAIL_MAX = 200;
+
 // ─── Input Validation ────────────────────────────────────────────────────────
 
 /**
@@ -64,15 +218,467 @@ function validatePositiveInt(value, max = 365, fallback = 0) {
   return Math.min(num, max);
 }
 
+/**
+ * Reduce user input to a single safe path segment (no separators, no
+ * control characters, no traversal).
+ */
+function sanitizeFolderName(name) {
+  if (!name || typeof name !== "string") return "";
+  return name
+    .replace(/[\/\\]/g, "-")
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .replace(/\.\./g, "")
+    .trim()
+    .slice(0, 100);
+}
+
+/**
+ * Validate an upload naming strategy, falling back to Seafile's auto-rename.
+ */
+function validateUploadNaming(value) {
+  return Object.values(UPLOAD_NAMING).includes(value) ? value : UPLOAD_NAMING.AUTO_RENAME;
+}
+
+/**
+ * Validate a removal policy; configs from before the setting delete the file.
+ */
+function validateRemovalPolicy(value) {
+  return Object.values(REMOVAL_POLICIES).includes(value) ? value : REMOVAL_POLICIES.DELETE_FILE;
+}
+
+/**
+ * Validate an auth method; configs from before token/SSO support use a password.
+ */
+function validateAuthMethod(value) {
+  return Object.values(AUTH_METHODS).includes(value) ? value : AUTH_METHODS.PASSWORD;
+}
+
+/**
+ * Validate a retention policy; days only matter for the age mode.
+ * @returns {{mode: string, days: number}}
+ */
+function validateRetentionPolicy(mode, days) {
+  return {
+    mode: Object.values(RETENTION_MODES).includes(mode) ? mode : RETENTION_MODES.OFF,
+    days: Math.max(1, validatePositiveInt(days, UPLOAD_REGISTRY.MAX_AGE_DAYS, RETENTION.DEFAULT_DAYS)),
+  };
+}
+
+// ─── Upload Naming ───────────────────────────────────────────────────────────
+
+/**
+ * Create a unique, sortable tag for an upload (timestamp + short random hex).
+ * @returns {string} e.g. "20250101-120000-a1b2"
+ */
+function createUploadTag(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp =
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  const random = crypto.getRandomValues(new Uint8Array(2));
+  const hex = Array.from(random, (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${stamp}-${hex}`;
+}
+
+/**
+ * Insert a suffix between the base name and the extension.
+ */
+function appendNameSuffix(name, suffix) {
+  const dot = name.lastIndexOf(".");
+  if (dot <= 0) return `${name}-${suffix}`;
+  return `${name.slice(0, dot)}-${suffix}${name.slice(dot)}`;
+}
+
+/**
+ * Resolve the target directory and file name for an upload according to the
+ * configured naming strategy. Existing files are never replaced: should a
+ * generated name still collide, Seafile renames the new file instead.
+ * @returns {{dir: string, fileName: string}}
+ */
+function resolveUploadTarget(naming, uploadDir, name) {
+  switch (validateUploadNaming(naming)) {
+    case UPLOAD_NAMING.SUFFIX:
+      return { dir: uploadDir, fileName: appendNameSuffix(name, createUploadTag()) };
+    case UPLOAD_NAMING.SUBFOLDER:
+      return { dir: sanitizePath(`${uploadDir}/${createUploadTag()}`), fileName: name };
+    default:
+      return { dir: uploadDir, fileName: name };
+  }
+}
+
+// ─── Upload Path Templates ───────────────────────────────────────────────────
+
+/** Placeholders that need the compose window's details */
+const COMPOSE_PATH_PLACEHOLDERS = /\{(sender|recipientDomain|subject)\}/;
+
+/**
+ * Expand placeholders like {yyyy}/{mm} in the upload folder setting. Each
+ * value becomes at most one path segment; unknown placeholders stay as
+ * typed so that mistakes remain visible.
+ */
+function expandUploadPath(template, values) {
+  const expanded = template.replace(/\{(\w+)\}/g, (match, key) =>
+    Object.hasOwn(values, key) ? sanitizeFolderName(String(values[key] ?? "")) : match
+  );
+  return sanitizePath(expanded).replace(/\/+$/, "") || "/";
+}
+
+/**
+ * Extract the address from "Name <user@example.com>".
+ */
+function extractEmailAddress(value) {
+  if (typeof value !== "string") return "";
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * Subject of the message being composed in a tab, if it can be read.
+ */
+async function getComposeSubject(tabId) {
+  if (tabId == null) return "";
+  try {
+    const details = await messenger.compose.getComposeDetails(tabId);
+    return details.subject || "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Resolve the upload folder of an account for an upload from a compose tab.
+ * Supported placeholders: {yyyy}, {mm}, {dd}, {account} (Seafile user),
+ * {sender}, {recipientDomain} (first "To" recipient) and {subject}.
+ */
+async function resolveUploadDir(config, tabId) {
+  const template = config.uploadDir || "/Thunderbird-Attachments";
+  if (!template.includes("{")) return sanitizePath(template);
+
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const values = {
+    yyyy: String(now.getFullYear()),
+    mm: pad(now.getMonth() + 1),
+    dd: pad(now.getDate()),
+    account: config.username || "",
+    sender: "",
+    recipientDomain: "",
+    subject: "",
+  };
+
+  if (tabId != null && COMPOSE_PATH_PLACEHOLDERS.test(template)) {
+    try {
+      const details = await messenger.compose.getComposeDetails(tabId);
+      const recipient = (details.to || []).find((r) => typeof r === "string");
+      values.sender = extractEmailAddress(details.from);
+      values.recipientDomain = extractEmailAddress(recipient).split("@")[1] || "";
+      values.subject = details.subject || "";
+    } catch (error) {
+      // The folder still resolves, just without the message-specific parts
+      console.warn("Seafile FileLink: could not read compose details:", error.message);
+    }
+  }
+
+  return expandUploadPath(template, values);
+}
+
+// ─── Async Helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Wait for the given time. Rejects early with an AbortError if the signal fires.
+ */
+function delay(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    }, { once: true });
+  });
+}
+
+/**
+ * Whether a response status may go away on retry (timeouts, rate limiting,
+ * server and proxy errors).
+ */
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Whether a failed response shows the server did not process the request,
+ * so even a POST can be repeated: timeouts, rate limiting, and overload
+ * with an explicit Retry-After.
+ */
+function isUnprocessedStatus(response) {
+  return response.status === 408 || response.status === 429 ||
+    (response.status === 503 && response.headers.has("Retry-After"));
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential backoff, unless
+ * the response asks for a delay via Retry-After (seconds or HTTP date).
+ */
+function retryDelayMs(attempt, response = null) {
+  const retryAfter = response?.headers.get("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (ms >= 0) return Math.min(ms, REQUEST_RETRY.MAX_DELAY_MS);
+  }
+  return Math.min(REQUEST_RETRY.BASE_DELAY_MS * 2 ** (attempt - 1), REQUEST_RETRY.MAX_DELAY_MS);
+}
+
+/**
+ * fetch() that retries network errors and retryable statuses with backoff.
+ * Only for requests that are safe to repeat.
+ * @returns {Promise<Response>} The last response
+ */
+async function fetchWithRetry(url, options) {
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    try {
+      response = await loggedFetch(url, options);
+    } catch (e) {
+      if (e.name === "AbortError" || attempt > REQUEST_RETRY.MAX_RETRIES) throw e;
+    }
+    if (response && (!isRetryableStatus(response.status) || attempt > REQUEST_RETRY.MAX_RETRIES)) {
+      return response;
+    }
+    await delay(retryDelayMs(attempt, response), options.signal);
+  }
+}
+
+/**
+ * POST with XMLHttpRequest, which unlike fetch() reports upload progress.
+ * Resolves with a Response; network errors reject with a TypeError like fetch,
+ * its bodySent flag telling whether the server may have received everything.
+ * @param {function(number)} [onProgress] - Called with the bytes sent so far
+ */
+function postWithProgress(url, headers, body, signal = null, onProgress = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const startedAt = Date.now();
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", url);
+    for (const [name, value] of Object.entries(headers)) {
+      xhr.setRequestHeader(name, value);
+    }
+    let bodySent = false;
+    xhr.upload.onprogress = (event) => onProgress?.(event.loaded);
+    xhr.upload.onload = () => { bodySent = true; };
+    xhr.onload = () => {
+      recordApiCall("POST", url, startedAt, xhr.status);
+      const responseHeaders = new Headers();
+      const retryAfter = xhr.getResponseHeader("Retry-After");
+      if (retryAfter) responseHeaders.set("Retry-After", retryAfter);
+      const text = xhr.status === 204 ? null : xhr.responseText;
+      resolve(new Response(text, { status: xhr.status, headers: responseHeaders }));
+    };
+    xhr.onerror = () => {
+      recordApiCall("POST", url, startedAt, 0, "NETWORK_ERROR");
+      const error = new TypeError("Network error");
+      error.bodySent = bodySent;
+      reject(error);
+    };
+    xhr.onabort = () => {
+      recordApiCall("POST", url, startedAt, 0, "ABORTED");
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", () => xhr.abort(), { once: true });
+    xhr.send(body);
+  });
+}
+
+/**
+ * Extract the stored file name from an upload response (ret-json=1 yields
+ * [{ name, id, size }] with the final, possibly renamed, name).
+ */
+function storedNameFromUploadResult(result, fallbackName) {
+  const stored = Array.isArray(result) ? result[0] : result;
+  return (stored && typeof stored.name === "string" && stored.name) || fallbackName;
+}
+
+// ─── Diagnostic Log ──────────────────────────────────────────────────────────
+
+/** Path segments that are followed by a secret (link, upload or SSO token). */
+const SECRET_PATH_SEGMENTS = /\/(share-links|upload-links|client-sso-link|upload-api|upload-aj|upload-blks-api|upload-raw-blks-api)\/[^/?#]+/g;
+
+/** Query parameters whose values are never logged. */
+const SECRET_QUERY_PARAMS = /token|password|pwd|otp|s2fa/i;
+
+/**
+ * Query parameters naming files and folders. Templated upload folders may
+ * contain message subjects and recipient domains, so they aren't logged.
+ */
+const PATH_QUERY_PARAMS = /^(p|path|parent_dir|file_name)$/;
+
+/** Entries not yet written to storage.local */
+let pendingDiagnostics = [];
+let diagnosticsFlushTimer = null;
+
+/**
+ * Reduce a request URL to its endpoint without origin and secrets.
+ */
+function redactEndpoint(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "[invalid url]";
+  }
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (SECRET_QUERY_PARAMS.test(key)) parsed.searchParams.set(key, "[redacted]");
+    else if (PATH_QUERY_PARAMS.test(key)) parsed.searchParams.set(key, "[path]");
+  }
+  const path = parsed.pathname.replace(SECRET_PATH_SEGMENTS, "/$1/[redacted]");
+  return path + parsed.search;
+}
+
+function recordDiagnostic(entry) {
+  pendingDiagnostics.push({ time: Date.now(), ...entry });
+  if (diagnosticsFlushTimer === null) {
+    diagnosticsFlushTimer = setTimeout(() => {
+      flushDiagnostics().catch((e) =>
+        console.warn("Seafile FileLink: could not write diagnostic log:", e.message)
+      );
+    }, DIAGNOSTICS.FLUSH_DELAY_MS);
+  }
+}
+
+async function flushDiagnostics() {
+  clearTimeout(diagnosticsFlushTimer);
+  diagnosticsFlushTimer = null;
+  if (pendingDiagnostics.length === 0) return;
+
+  const entries = pendingDiagnostics;
+  pendingDiagnostics = [];
+  const result = await messenger.storage.local.get(DIAGNOSTICS.KEY);
+  const log = (result[DIAGNOSTICS.KEY] || []).concat(entries).slice(-DIAGNOSTICS.MAX_ENTRIES);
+  await messenger.storage.local.set({ [DIAGNOSTICS.KEY]: log });
+}
+
+/**
+ * The diagnostic log, oldest entry first.
+ */
+async function loadDiagnostics() {
+  await flushDiagnostics();
+  const result = await messenger.storage.local.get(DIAGNOSTICS.KEY);
+  return result[DIAGNOSTICS.KEY] || [];
+}
+
+async function clearDiagnostics() {
+  pendingDiagnostics = [];
+  await flushDiagnostics();
+  await messenger.storage.local.remove(DIAGNOSTICS.KEY);
+}
+
+/**
+ * Record one HTTP request: method, endpoint, status (0 without a
+ * response), duration and, for failed requests, an error code.
+ */
+function recordApiCall(method, url, startedAt, status, code = null) {
+  recordDiagnostic({
+    method,
+    endpoint: redactEndpoint(url),
+    status,
+    durationMs: Date.now() - startedAt,
+    ...(code ? { code } : {}),
+  });
+}
+
+/**
+ * fetch() that records the request in the diagnostic log.
+ */
+async function loggedFetch(url, options = {}) {
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(url, options);
+    recordApiCall(options.method || "GET", url, startedAt, response.status);
+    return response;
+  } catch (error) {
+    recordApiCall(options.method || "GET", url, startedAt, 0,
+      error.name === "AbortError" ? "ABORTED" : "NETWORK_ERROR");
+    throw error;
+  }
+}
+
+/**
+ * Log an error to the console and its code to the diagnostic log. The
+ * message stays out of the diagnostic log, it may name files or users.
+ */
+function logError(context, error, log = console.warn) {
+  const code = error.code || (error.name === "AbortError" ? "ABORTED" : "UNKNOWN");
+  log(`Seafile ${context} error [${code}]: ${error.message}`);
+  recordDiagnostic({ context, code });
+}
+
+// ─── Server Error Classification ─────────────────────────────────────────────
+
+/**
+ * Read the error message of a failed response. Seahub answers with JSON
+ * ({"error_msg": ...} or {"detail": ...}), the file server with plain text.
+ */
+async function readServerErrorDetail(response) {
+  const text = await response.text().catch(() => "");
+  let detail = text;
+  try {
+    const data = JSON.parse(text);
+    detail = data?.error_msg || data?.detail || data?.error || "";
+  } catch { /* plain text */ }
+  return String(detail).replace(/\s+/g, " ").replace(/[\s.]+$/, "").trim().slice(0, SERVER_ERROR_DETAIL_MAX);
+}
+
+/**
+ * Turn a failed response into an error naming the cause and how to fix it,
+ * if the status or the server's message matches a known cause.
+ * @param {Response} response - Unread failed response
+ * @param {SeafileError} fallback - Error to throw if the cause is unknown
+ * @returns {Promise<SeafileError>}
+ */
+async function classifyServerError(response, fallback) {
+  const detail = await readServerErrorDetail(response);
+  const known = SERVER_ERRORS.find((rule) =>
+    rule.status?.includes(response.status) || rule.pattern?.test(detail)
+  );
+  if (!known) return fallback;
+
+  const explanation = messenger.i18n.getMessage(known.message, [response.status.toString(), detail]);
+  return new SeafileError(known.code, `${fallback.message}: ${explanation}`);
+}
+
 // ─── Seafile API Client ──────────────────────────────────────────────────────
 
 class SeafileAPI {
   constructor(serverUrl) {
     this.serverUrl = validateServerUrl(serverUrl);
     this.token = null;
+    this.s2faToken = null;   // Set when the server agreed to remember this device
+    this.validatedAt = 0;    // Last time the server accepted the token
+    this.onUnauthorized = null;   // async () => void; renews this.token after a 401
+    this.renewal = null;     // In-flight renewal shared by concurrent requests
+  }
+
+  /**
+   * Whether the server accepted the token recently enough to skip a ping.
+   */
+  isRecentlyValidated() {
+    return Date.now() - this.validatedAt < TOKEN_TRUST_MS;
   }
 
-  async authenticate(username, password, otpToken = null) {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.s2faToken] - Remembered-device token; skips the OTP
+   * @param {boolean} [options.trustDevice] - Ask the server to remember this device
+   */
+  async authenticate(username, password, otpToken = null, { s2faToken = null, trustDevice = false } = {}) {
     const headers = {
       "Content-Type": "application/x-www-form-urlencoded",
       Accept: "application/json",
@@ -80,13 +686,20 @@ class SeafileAPI {
 
     if (otpToken && typeof otpToken === "string" && /^\d{6}$/.test(otpToken)) {
       headers["X-SEAFILE-OTP"] = otpToken;
+      if (trustDevice) {
+        headers["X-SEAFILE-2FA-TRUST-DEVICE"] = "1";
+      }
     } else if (otpToken) {
       throw new SeafileError("2FA_INVALID", messenger.i18n.getMessage("error2faInvalid"));
     }
 
+    if (s2faToken) {
+      headers["X-SEAFILE-S2FA"] = s2faToken;
+    }
+
     const body = new URLSearchParams({ username, password });
 
-    const response = await fetch(`${this.serverUrl}/api2/auth-token/`, {
+    const response = await loggedFetch(`${this.serverUrl}/api2/auth-token/`, {
       method: "POST",
       headers,
       body,
@@ -110,9 +723,77 @@ class SeafileAPI {
 
     const data = await response.json();
     this.token = data.token;
+    this.s2faToken = response.headers.get("X-SEAFILE-S2FA") || null;
+    this.validatedAt = Date.now();
     return this.token;
   }
 
+  /**
+   * Start a browser sign-in (SSO). The user opens the returned link; the
+   * token identifies the pending login when polling.
+   * @returns {Promise<{link: string, token: string}>}
+   */
+  async createClientSsoLink() {
+    const response = await loggedFetch(`${this.serverUrl}/api2/client-sso-link/`, {
+      method: "POST",
+      headers: { Accept: "application/json" },
+    });
+    if (!response.ok) {
+      throw new SeafileError("SSO_UNAVAILABLE", messenger.i18n.getMessage("errorSsoUnavailable"));
+    }
+    const data = await response.json();
+
+    // The link is opened in the browser: it must point to the configured server
+    try {
+      const link = new URL(data.link);
+      const match = /\/client-sso\/([^/]+)\/?$/.exec(link.pathname);
+      if (link.hostname !== new URL(this.serverUrl).hostname || !match) {
+        throw new Error("Unexpected SSO link");
+      }
+      return { link: link.href, token: match[1] };
+    } catch {
+      throw new SeafileError("SSO_LINK_INVALID", messenger.i18n.getMessage("errorSsoLinkInvalid"));
+    }
+  }
+
+  /**
+   * Poll a pending browser sign-in.
+   * @returns {Promise<{status: string, username?: string, apiToken?: string}>}
+   *   status is "waiting" until the user has signed in, then "success"
+   */
+  async getClientSsoStatus(ssoToken) {
+    const response = await loggedFetch(
+      `${this.serverUrl}/api2/client-sso-link/${encodeURIComponent(ssoToken)}/`,
+      { headers: { Accept: "application/json" } }
+    );
+    if (!response.ok) {
+      throw new SeafileError("SSO_FAILED", messenger.i18n.getMessage("errorSsoFailed"));
+    }
+    return await response.json();
+  }
+
+  /**
+   * Unlock an encrypted library. Seafile keeps it unlocked for this user
+   * for a limited time only (REPO_PASSWORD_MIN_HOURS, 1 hour by default).
+   */
+  async setRepoPassword(repoId, password) {
+    const response = await this._request(
+      "POST",
+      `/api/v2.1/repos/${encodeURIComponent(repoId)}/set-password/`,
+      { password },
+      "form"
+    );
+    if (response.status === 400) {
+      throw new SeafileError("REPO_PASSWORD_WRONG", messenger.i18n.getMessage("errorRepoPasswordWrong"));
+    }
+    if (!response.ok) {
+      throw new SeafileError(
+        "REPO_UNLOCK_FAILED",
+        messenger.i18n.getMessage("errorRepoUnlock", [response.status.toString()])
+      );
+    }
+  }
+
   async ping() {
     const response = await this._request("GET", "/api2/auth/ping/");
     return response.ok;
@@ -127,37 +808,110 @@ class SeafileAPI {
     return data.repos || data;
   }
 
-  async ensureDirectory(repoId, path) {
+  /**
+   * Details of a folder, or null if it does not exist.
+   * @returns {Promise<{name: string, path: string, permission: string}|null>}
+   */
+  async getDirectoryDetail(repoId, path) {
     const safePath = sanitizePath(path);
     const response = await this._request(
-      "POST",
-      `/api/v2.1/repos/${encodeURIComponent(repoId)}/dir/?p=${encodeURIComponent(safePath)}`,
-      { operation: "mkdir" },
-      "form"
+      "GET",
+      `/api/v2.1/repos/${encodeURIComponent(repoId)}/dir/detail/?path=${encodeURIComponent(safePath)}`
     );
-    if (!response.ok && response.status !== 409 && response.status !== 400) {
-      throw new SeafileError(
-        "MKDIR_FAILED",
-        messenger.i18n.getMessage("errorCreateDir", [safePath])
-      );
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new SeafileError("DIR_DETAIL_FAILED", messenger.i18n.getMessage("errorListDir", [safePath]));
     }
+    return await response.json();
   }
 
-  async getUploadLink(repoId, parentDir) {
-    const safePath = sanitizePath(parentDir);
+  /**
+   * List the subfolders of a folder.
+   * @returns {Promise<{writable: boolean, folders: Array<{name: string, path: string, writable: boolean}>}|null>}
+   *   null if the folder does not exist
+   */
+  async listDirectory(repoId, path) {
+    const safePath = sanitizePath(path);
     const response = await this._request(
       "GET",
-      `/api2/repos/${encodeURIComponent(repoId)}/upload-link/?p=${encodeURIComponent(safePath)}`
+      `/api/v2.1/repos/${encodeURIComponent(repoId)}/dir/?p=${encodeURIComponent(safePath)}&t=d`
     );
+    if (response.status === 404) return null;
     if (!response.ok) {
-      throw new SeafileError("UPLOAD_LINK_FAILED", messenger.i18n.getMessage("errorUploadLink"));
+      throw new SeafileError("LIST_DIR_FAILED", messenger.i18n.getMessage("errorListDir", [safePath]));
     }
-    const link = await response.json();
-    const linkStr = typeof link === "string" ? link : String(link);
+    const data = await response.json();
+    return {
+      writable: data.user_perm === "rw",
+      folders: (data.dirent_list || [])
+        .filter((d) => d.type === "dir")
+        .map((d) => ({
+          name: d.name,
+          path: sanitizePath(`${safePath}/${d.name}`),
+          writable: d.permission === "rw",
+        })),
+    };
+  }
 
-    // Validate the returned upload URL belongs to a trusted origin
-    try {
-      const uploadUrl = new URL(linkStr);
+  /**
+   * Create a single folder. Seafile renames the new folder if the name is
+   * taken, so callers check for an existing one first.
+   * @returns {Promise<string>} Path of the created folder
+   */
+  async createDirectory(repoId, path) {
+    const safePath = sanitizePath(path);
+    const response = await this._request(
+      "POST",
+      `/api/v2.1/repos/${encodeURIComponent(repoId)}/dir/?p=${encodeURIComponent(safePath)}`,
+      { operation: "mkdir" },
+      "form"
+    );
+    if (!response.ok) {
+      throw await classifyServerError(response, new SeafileError(
+        "MKDIR_FAILED",
+        messenger.i18n.getMessage("errorCreateDir", [safePath])
+      ));
+    }
+    const data = await response.json().catch(() => ({}));
+    const parent = safePath.slice(0, safePath.lastIndexOf("/"));
+    return data.obj_name ? sanitizePath(`${parent}/${data.obj_name}`) : safePath;
+  }
+
+  /**
+   * Make sure a folder exists, creating missing segments one by one.
+   */
+  async ensureDirectory(repoId, path) {
+    let current = "";
+    for (const segment of sanitizePath(path).split("/").filter(Boolean)) {
+      current += `/${segment}`;
+      if (await this.getDirectoryDetail(repoId, current)) continue;
+      try {
+        await this.createDirectory(repoId, current);
+      } catch (error) {
+        // A concurrent upload may have created it in the meantime
+        if (!(await this.getDirectoryDetail(repoId, current))) throw error;
+      }
+    }
+  }
+
+  async getUploadLink(repoId, parentDir) {
+    const safePath = sanitizePath(parentDir);
+    const response = await this._request(
+      "GET",
+      `/api2/repos/${encodeURIComponent(repoId)}/upload-link/?p=${encodeURIComponent(safePath)}`
+    );
+    if (!response.ok) {
+      throw await classifyServerError(
+        response,
+        new SeafileError("UPLOAD_LINK_FAILED", messenger.i18n.getMessage("errorUploadLink"))
+      );
+    }
+    const link = await response.json();
+    const linkStr = typeof link === "string" ? link : String(link);
+
+    // Validate the returned upload URL belongs to a trusted origin
+    try {
+      const uploadUrl = new URL(linkStr);
       const serverUrl = new URL(this.serverUrl);
       if (uploadUrl.hostname !== serverUrl.hostname) {
         throw new SeafileError(
@@ -173,28 +927,150 @@ class SeafileAPI {
     return linkStr;
   }
 
-  async uploadFile(uploadLink, parentDir, file, abortSignal = null) {
+  /**
+   * Upload a file in a single multipart request. It is only retried (with
+   * backoff) while the server certainly stored nothing: after a proxy error
+   * or a connection lost after sending, the file may already be there and a
+   * retry would keep a second, untracked copy under an auto-renamed name.
+   * @param {boolean} replace - Overwrite an existing file instead of letting
+   *   Seafile auto-rename the upload
+   * @param {function(number)} [onProgress] - Called with the bytes sent so far
+   * @returns {Promise<string>} Name the file was actually stored under
+   */
+  async uploadFile(uploadLink, parentDir, file, abortSignal = null, replace = false, onProgress = null) {
     const formData = new FormData();
     formData.append("file", file, file.name);
     formData.append("parent_dir", sanitizePath(parentDir));
-    formData.append("replace", "1");
+    formData.append("replace", replace ? "1" : "0");
     formData.append("ret-json", "1");
 
-    const response = await fetch(uploadLink + "?ret-json=1", {
-      method: "POST",
-      headers: { Authorization: `Token ${this.token}` },
-      body: formData,
-      signal: abortSignal,
-    });
+    let response = null;
+    for (let attempt = 1; ; attempt++) {
+      response = null;
+      try {
+        response = await postWithProgress(
+          uploadLink + "?ret-json=1",
+          { Authorization: `Token ${this.token}` },
+          formData,
+          abortSignal,
+          // Multipart framing makes the body slightly larger than the file
+          (loaded) => onProgress?.(Math.min(loaded, file.size))
+        );
+      } catch (e) {
+        if (e.name === "AbortError") throw e;
+        // Network error: retried below if the body never arrived
+        if (e.bodySent) break;
+      }
+      if (response && (response.ok || !isUnprocessedStatus(response))) break;
+      if (attempt > REQUEST_RETRY.MAX_RETRIES) break;
 
+      onProgress?.(0);
+      await delay(retryDelayMs(attempt, response), abortSignal);
+    }
+
+    if (!response) {
+      throw new SeafileError("UPLOAD_FAILED", messenger.i18n.getMessage("errorUploadNetwork"));
+    }
     if (!response.ok) {
-      throw new SeafileError(
+      throw await classifyServerError(response, new SeafileError(
         "UPLOAD_FAILED",
         messenger.i18n.getMessage("errorUpload", [response.status.toString()])
-      );
+      ));
     }
 
-    return await response.json();
+    const result = await response.json().catch(() => null);
+    return storedNameFromUploadResult(result, file.name);
+  }
+
+  /**
+   * Upload a large file in chunks using Seafile's resumable upload protocol
+   * (Content-Range). Failed chunks are retried with exponential backoff; before
+   * each retry the server is asked how many bytes it already holds, so the
+   * transfer resumes instead of starting over.
+   * @param {function(number)} [onProgress] - Called with the bytes sent so far
+   * @returns {Promise<string>} Name the file was actually stored under
+   */
+  async uploadFileChunked(uploadLink, repoId, parentDir, file, abortSignal = null, replace = false, onProgress = null) {
+    const safeDir = sanitizePath(parentDir);
+    const total = file.size;
+    let offset = 0;
+    let failures = 0;
+    let result = null;
+
+    while (offset < total) {
+      const end = Math.min(offset + CHUNKED_UPLOAD.CHUNK_SIZE, total);
+      const formData = new FormData();
+      formData.append("file", file.slice(offset, end), file.name);
+      formData.append("parent_dir", safeDir);
+      formData.append("replace", replace ? "1" : "0");
+
+      const chunkStart = offset;
+      let response = null;
+      try {
+        response = await postWithProgress(
+          uploadLink + "?ret-json=1",
+          {
+            Authorization: `Token ${this.token}`,
+            "Content-Range": `bytes ${offset}-${end - 1}/${total}`,
+            "Content-Disposition": `attachment; filename="${encodeURI(file.name)}"`,
+          },
+          formData,
+          abortSignal,
+          (loaded) => onProgress?.(chunkStart + Math.min(loaded, end - chunkStart))
+        );
+      } catch (e) {
+        if (e.name === "AbortError") throw e;
+        // Network error: fall through to retry
+      }
+
+      if (response && response.ok) {
+        failures = 0;
+        offset = end;
+        if (offset >= total) {
+          result = await response.json().catch(() => null);
+        }
+        continue;
+      }
+
+      // Client errors (other than timeouts / rate limiting) won't go away on retry
+      const retryable = !response || isRetryableStatus(response.status);
+
+      if (!retryable || ++failures > CHUNKED_UPLOAD.MAX_RETRIES) {
+        throw response
+          ? await classifyServerError(response, new SeafileError(
+            "UPLOAD_FAILED",
+            messenger.i18n.getMessage("errorUpload", [response.status.toString()])
+          ))
+          : new SeafileError("UPLOAD_FAILED", messenger.i18n.getMessage("errorUploadNetwork"));
+      }
+
+      await delay(retryDelayMs(failures, response), abortSignal);
+
+      // Resume from what the server has already stored for this file
+      try {
+        offset = Math.min(await this.getUploadedBytes(repoId, safeDir, file.name), total);
+      } catch { /* keep current offset */ }
+      onProgress?.(offset);
+    }
+
+    return storedNameFromUploadResult(result, file.name);
+  }
+
+  /**
+   * Number of bytes of an interrupted resumable upload already on the server.
+   */
+  async getUploadedBytes(repoId, parentDir, fileName) {
+    const query = new URLSearchParams({
+      parent_dir: sanitizePath(parentDir),
+      file_name: fileName,
+    });
+    const response = await this._request(
+      "GET",
+      `/api/v2.1/repos/${encodeURIComponent(repoId)}/file-uploaded-bytes/?${query}`
+    );
+    if (!response.ok) return 0;
+    const data = await response.json();
+    return validatePositiveInt(data.uploadedBytes, Number.MAX_SAFE_INTEGER);
   }
 
   async createShareLink(repoId, path, options = {}) {
@@ -213,11 +1089,39 @@ class SeafileAPI {
     const response = await this._request("POST", "/api/v2.1/share-links/", body, "json");
 
     if (!response.ok) {
-      // Don't leak server error details to user
-      throw new SeafileError(
+      // Only known causes quote the server's message (e.g. password policy)
+      throw await classifyServerError(response, new SeafileError(
         "SHARE_LINK_FAILED",
         messenger.i18n.getMessage("errorShareLink", [response.status.toString()])
-      );
+      ));
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Create an upload-only link for a folder, so others can send files into it.
+   */
+  async createUploadLink(repoId, path, options = {}) {
+    const body = {
+      repo_id: repoId,
+      path: sanitizePath(path),
+    };
+
+    if (options.password && typeof options.password === "string" && options.password.length > 0) {
+      body.password = options.password;
+    }
+    if (options.expireDays && options.expireDays > 0) {
+      body.expire_days = validatePositiveInt(options.expireDays);
+    }
+
+    const response = await this._request("POST", "/api/v2.1/upload-links/", body, "json");
+
+    if (!response.ok) {
+      throw await classifyServerError(response, new SeafileError(
+        "UPLOAD_LINK_CREATE_FAILED",
+        messenger.i18n.getMessage("errorCreateUploadLink", [response.status.toString()])
+      ));
     }
 
     return await response.json();
@@ -232,6 +1136,109 @@ class SeafileAPI {
     return response.ok;
   }
 
+  /**
+   * Rename a file in place. Seafile picks a free name if the new one is taken.
+   * @returns {Promise<string>} Name the file was actually renamed to
+   */
+  async renameFile(repoId, path, newName) {
+    const safePath = sanitizePath(path);
+    const response = await this._request(
+      "POST",
+      `/api/v2.1/repos/${encodeURIComponent(repoId)}/file/?p=${encodeURIComponent(safePath)}`,
+      { operation: "rename", newname: newName },
+      "form"
+    );
+    if (!response.ok) {
+      throw await classifyServerError(response, new SeafileError(
+        "RENAME_FAILED",
+        messenger.i18n.getMessage("errorRename", [response.status.toString()])
+      ));
+    }
+    const data = await response.json().catch(() => ({}));
+    return (typeof data.obj_name === "string" && data.obj_name) || newName;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false only if the server reports the file as missing
+   */
+  async fileExists(repoId, path) {
+    const safePath = sanitizePath(path);
+    const response = await this._request(
+      "GET",
+      `/api2/repos/${encodeURIComponent(repoId)}/file/detail/?p=${encodeURIComponent(safePath)}`
+    );
+    if (response.status === 404) return false;
+    if (!response.ok) {
+      throw await classifyServerError(response, new SeafileError(
+        "FILE_CHECK_FAILED",
+        messenger.i18n.getMessage("errorFileCheck", [response.status.toString()])
+      ));
+    }
+    return true;
+  }
+
+  /**
+   * Fetch a share link by token.
+   * @returns {Promise<Object|null>} Link info, or null if it no longer exists
+   */
+  async getShareLink(token) {
+    const response = await this._request(
+      "GET",
+      `/api/v2.1/share-links/${encodeURIComponent(token)}/`
+    );
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new SeafileError(
+        "SHARE_LINK_FETCH_FAILED",
+        messenger.i18n.getMessage("errorShareLinkFetch", [response.status.toString()])
+      );
+    }
+    return await response.json();
+  }
+
+  /**
+   * List all share links of the user, including their view counts.
+   * @returns {Promise<Object[]>}
+   */
+  async listShareLinks() {
+    const response = await this._request("GET", "/api/v2.1/share-links/");
+    if (!response.ok) {
+      throw new SeafileError(
+        "SHARE_LINK_FETCH_FAILED",
+        messenger.i18n.getMessage("errorShareLinkFetch", [response.status.toString()])
+      );
+    }
+    return await response.json();
+  }
+
+  /**
+   * Change the expiry of an existing share link.
+   * @returns {Promise<Object>} Updated link info
+   */
+  async updateShareLinkExpiry(token, expireDays) {
+    const response = await this._request(
+      "PUT",
+      `/api/v2.1/share-links/${encodeURIComponent(token)}/`,
+      { expire_days: validatePositiveInt(expireDays) },
+      "json"
+    );
+    if (!response.ok) {
+      throw await classifyServerError(response, new SeafileError(
+        "SHARE_LINK_UPDATE_FAILED",
+        messenger.i18n.getMessage("errorShareLinkUpdate", [response.status.toString()])
+      ));
+    }
+    return await response.json();
+  }
+
+  async deleteShareLink(token) {
+    const response = await this._request(
+      "DELETE",
+      `/api/v2.1/share-links/${encodeURIComponent(token)}/`
+    );
+    return response.ok;
+  }
+
   async getAccountInfo() {
     const response = await this._request("GET", "/api2/account/info/");
     if (!response.ok) {
@@ -240,7 +1247,11 @@ class SeafileAPI {
     return await response.json();
   }
 
-  async _request(method, path, body = null, bodyType = null) {
+  /**
+   * Authenticated API request. Safe methods are retried on transient errors;
+   * a 401 renews the token once (see onUnauthorized) and replays the request.
+   */
+  async _request(method, path, body = null, bodyType = null, replayed = false) {
     const url = `${this.serverUrl}${path}`;
     const headers = {
       Authorization: `Token ${this.token}`,
@@ -257,7 +1268,21 @@ class SeafileAPI {
       options.body = new URLSearchParams(body);
     }
 
-    return fetch(url, options);
+    const response = REQUEST_RETRY.METHODS.includes(method)
+      ? await fetchWithRetry(url, options)
+      : await loggedFetch(url, options);
+
+    if (response.ok) {
+      this.validatedAt = Date.now();
+    } else if (response.status === 401 && this.onUnauthorized && !replayed) {
+      this.validatedAt = 0;
+      this.renewal ||= this.onUnauthorized().finally(() => {
+        this.renewal = null;
+      });
+      await this.renewal;
+      return this._request(method, path, body, bodyType, true);
+    }
+    return response;
   }
 }
 
@@ -269,6 +1294,93 @@ class SeafileError extends Error {
   }
 }
 
+// ─── Browser Sign-In (SSO) ───────────────────────────────────────────────────
+
+/** Pending browser sign-in; a new one cancels it */
+let ssoLoginController = null;
+
+/**
+ * Sign in through the default browser and wait for Seafile to hand out
+ * an API token.
+ * @returns {Promise<SeafileAPI>} API instance holding the new token
+ */
+async function loginViaSso(serverUrl) {
+  ssoLoginController?.abort();
+  const controller = new AbortController();
+  ssoLoginController = controller;
+
+  try {
+    const api = new SeafileAPI(serverUrl);
+    const { link, token } = await api.createClientSsoLink();
+    await messenger.windows.openDefaultBrowser(link);
+
+    const deadline = Date.now() + SSO_LOGIN.TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await delay(SSO_LOGIN.POLL_INTERVAL_MS, controller.signal);
+      const status = await api.getClientSsoStatus(token);
+      if (status.status === "success" && status.apiToken) {
+        api.token = status.apiToken;
+        return api;
+      }
+    }
+    throw new SeafileError("SSO_TIMEOUT", messenger.i18n.getMessage("errorSsoTimeout"));
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new SeafileError("SSO_CANCELLED", messenger.i18n.getMessage("errorSsoCancelled"));
+    }
+    throw error;
+  } finally {
+    if (ssoLoginController === controller) ssoLoginController = null;
+  }
+}
+
+/**
+ * API instance for browsing folders from the management UI: uses the token
+ * of a not yet saved sign-in if given, otherwise the saved account.
+ */
+async function getBrowseAPI(message) {
+  let api;
+  if (message.token) {
+    api = new SeafileAPI(validateServerUrl(message.serverUrl));
+    api.token = message.token;
+  } else {
+    api = await getAuthenticatedAPI(message.accountId);
+  }
+
+  if (message.repoPassword) {
+    await api.setRepoPassword(message.repoId, message.repoPassword);
+  } else {
+    await unlockRepo(api, message.repoId);
+  }
+  return api;
+}
+
+/**
+ * Describe a freshly authenticated connection for the management UI.
+ */
+async function describeConnection(api) {
+  const accountInfo = await api.getAccountInfo();
+  const repos = await api.listRepos();
+
+  return {
+    success: true,
+    // Secrets are stored under the Seafile username (account/info "email")
+    username: accountInfo.email,
+    email: accountInfo.email,
+    usage: accountInfo.usage,
+    total: accountInfo.total,
+    repos: repos
+      .filter((r) => r.permission === "rw")
+      .map((r) => ({
+        id: r.repo_id,
+        name: r.repo_name || r.name,
+        encrypted: !!r.encrypted,
+      })),
+    token: api.token,
+    s2faToken: api.s2faToken,
+  };
+}
+
 // ─── Secure Credential Helpers ───────────────────────────────────────────────
 
 /**
@@ -281,18 +1393,19 @@ async function saveSecret(serverUrl, realm, key, value) {
 
 /**
  * Retrieve a secret value from Thunderbird's password manager.
+ * @param {string} [key] - Only match the entry stored under this key
  * @returns {string|null}
  */
-async function getSecret(serverUrl, realm) {
-  const result = await messenger.loginManager.getCredentials(serverUrl, realm);
+async function getSecret(serverUrl, realm, key = undefined) {
+  const result = await messenger.loginManager.getCredentials(serverUrl, realm, key);
   return result ? result.password : null;
 }
 
 /**
- * Remove a specific secret realm for a server.
+ * Remove a specific secret realm for a server (optionally a single key).
  */
-async function removeSecret(serverUrl, realm) {
-  await messenger.loginManager.removeCredentials(serverUrl, realm);
+async function removeSecret(serverUrl, realm, key = undefined) {
+  await messenger.loginManager.removeCredentials(serverUrl, realm, key);
 }
 
 // ─── Account & Token Management ──────────────────────────────────────────────
@@ -300,155 +1413,1852 @@ async function removeSecret(serverUrl, realm) {
 /** In-memory cache: accountId -> SeafileAPI (short-lived, not persisted) */
 const apiCache = new Map();
 
-/** Tracks uploaded files for deletion: fileId -> metadata */
-const uploadedFiles = new Map();
+/** In-flight uploads: uploadId -> AbortController */
+const uploadControllers = new Map();
 
 /**
  * Load non-sensitive account config from storage.
  */
 async function loadAccountConfig(accountId) {
+  await accountConfigsMigrated;
   const key = `account_${accountId}`;
   const result = await messenger.storage.local.get(key);
   return result[key] || null;
 }
 
 /**
- * Get an authenticated SeafileAPI instance. Tokens are verified
- * on each call and refreshed transparently if expired.
+ * Load all account configs from storage.
+ * @returns {Promise<Object<string, Object>>} accountId -> config
+ */
+async function loadAllAccountConfigs() {
+  const all = await messenger.storage.local.get(null);
+  const configs = {};
+  for (const [key, value] of Object.entries(all)) {
+    if (key.startsWith("account_")) {
+      configs[key.slice("account_".length)] = value;
+    }
+  }
+  return configs;
+}
+
+/**
+ * Bring account configs and their secrets up to ACCOUNT_CONFIG_VERSION.
+ * v1 looked secrets up by server + realm only and used whichever entry came
+ * first, so that entry is pinned to the account's username.
+ */
+async function migrateAccountConfigs() {
+  const configs = await loadAllAccountConfigs();
+  for (const [accountId, config] of Object.entries(configs)) {
+    if ((config.configVersion || 1) >= ACCOUNT_CONFIG_VERSION || !config.serverUrl) continue;
+
+    const serverUrl = validateServerUrl(config.serverUrl);
+    let username = config.username;
+    if (!username) {
+      const legacy = await messenger.loginManager.getCredentials(serverUrl, REALMS.PASSWORD);
+      username = legacy ? legacy.username : null;
+    }
+
+    // With a username the secrets were always saved under it: a missing one
+    // means "not set", and any other entry belongs to another user
+    if (username && !config.username) {
+      for (const realm of [REALMS.PASSWORD, REALMS.TOKEN, REALMS.SHARE_PW]) {
+        if (await getSecret(serverUrl, realm, username)) continue;
+        const legacy = await getSecret(serverUrl, realm);
+        if (legacy) {
+          await saveSecret(serverUrl, realm, username, legacy);
+        }
+      }
+    }
+
+    await messenger.storage.local.set({
+      [`account_${accountId}`]: { ...config, username, configVersion: ACCOUNT_CONFIG_VERSION },
+    });
+  }
+}
+
+/** Resolves once stored account configs are migrated; awaited by loadAccountConfig */
+const accountConfigsMigrated = migrateAccountConfigs().catch((e) =>
+  console.warn("Seafile FileLink: could not migrate account configs:", e.message)
+);
+
+/**
+ * Remove a user's secrets for a server, unless another account still
+ * uses the same server and username.
+ */
+async function removeUserSecrets(serverUrl, username, excludeAccountId) {
+  const configs = await loadAllAccountConfigs();
+  const stillUsed = Object.entries(configs).some(([id, c]) =>
+    id !== excludeAccountId && c.serverUrl === serverUrl && c.username === username
+  );
+  if (stillUsed) return;
+
+  for (const realm of [REALMS.PASSWORD, REALMS.TOKEN, REALMS.SHARE_PW, REALMS.S2FA]) {
+    await removeSecret(serverUrl, realm, username);
+  }
+}
+
+/** storage.session key of the last token validation per account */
+const TOKEN_VALIDATION_KEY = "tokenValidatedAt";
+
+/**
+ * Remember when an account's stored token was last accepted. Kept in
+ * storage.session, so it survives a suspended background page but not a
+ * restart.
+ */
+async function recordTokenValidation(accountId, validatedAt = Date.now()) {
+  const result = await messenger.storage.session.get(TOKEN_VALIDATION_KEY);
+  const times = result[TOKEN_VALIDATION_KEY] || {};
+  if (validatedAt) {
+    times[accountId] = validatedAt;
+  } else {
+    delete times[accountId];
+  }
+  await messenger.storage.session.set({ [TOKEN_VALIDATION_KEY]: times });
+}
+
+async function getTokenValidation(accountId) {
+  const result = await messenger.storage.session.get(TOKEN_VALIDATION_KEY);
+  return result[TOKEN_VALIDATION_KEY]?.[accountId] || 0;
+}
+
+/**
+ * Drop an account's cached API instance and token trust, e.g. after its
+ * configuration changed.
+ */
+async function forgetAccountAPI(accountId) {
+  apiCache.delete(accountId);
+  await recordTokenValidation(accountId, 0);
+}
+
+/**
+ * Sign in with the password stored for an account.
+ * @returns {Promise<SeafileAPI>} API instance holding the new token
+ */
+async function signInWithStoredPassword(accountId, config, serverUrl, interactive) {
+  const credentials = await messenger.loginManager.getCredentials(
+    serverUrl,
+    REALMS.PASSWORD,
+    config.username
+  );
+  if (!credentials) {
+    throw new SeafileError("NO_CREDENTIALS", messenger.i18n.getMessage("errorNoCredentials"));
+  }
+
+  const api = new SeafileAPI(serverUrl);
+  const s2faToken = await getSecret(serverUrl, REALMS.S2FA, credentials.username);
+  try {
+    await api.authenticate(credentials.username, credentials.password, null, { s2faToken });
+  } catch (error) {
+    if (error.code !== "2FA_REQUIRED" || !interactive) throw error;
+    // Only the user can provide the code: ask and continue once signed in
+    api.token = await requestTwoFactorLogin(accountId, serverUrl, credentials);
+    api.validatedAt = Date.now();
+  }
+
+  // Persist new token securely
+  await saveSecret(serverUrl, REALMS.TOKEN, credentials.username, api.token);
+  return api;
+}
+
+/**
+ * Let an API instance renew its token when the server rejects it
+ * mid-operation. Token and SSO accounts have to sign in again.
+ * @param {boolean} interactive - May open the 2FA prompt
+ */
+function installTokenRenewal(accountId, config, api, interactive) {
+  api.onUnauthorized = async () => {
+    apiCache.delete(accountId);
+    await recordTokenValidation(accountId, 0);
+    if (validateAuthMethod(config.authMethod) !== AUTH_METHODS.PASSWORD) {
+      throw new SeafileError("TOKEN_INVALID", messenger.i18n.getMessage("errorTokenInvalid"));
+    }
+    const renewed = await signInWithStoredPassword(accountId, config, api.serverUrl, interactive);
+    api.token = renewed.token;
+    api.validatedAt = renewed.validatedAt;
+    // Background copies stay out of the cache; the saved token is trusted
+    if (interactive) apiCache.set(accountId, api);
+    await recordTokenValidation(accountId);
+  };
+}
+
+/**
+ * The API instance for a caller. The cached instance serves foreground
+ * callers and may prompt for a 2FA code while renewing; background jobs get
+ * a copy whose renewal never does.
+ */
+function apiForCaller(accountId, config, api, interactive) {
+  if (interactive) return api;
+  const copy = new SeafileAPI(api.serverUrl);
+  copy.token = api.token;
+  copy.validatedAt = api.validatedAt;
+  installTokenRenewal(accountId, config, copy, false);
+  return copy;
+}
+
+/**
+ * Cache an API instance for an account.
+ */
+async function cacheAccountAPI(accountId, config, api, interactive) {
+  installTokenRenewal(accountId, config, api, true);
+  apiCache.set(accountId, api);
+  await recordTokenValidation(accountId, api.validatedAt);
+  return apiForCaller(accountId, config, api, interactive);
+}
+
+/**
+ * Get an authenticated SeafileAPI instance. Tokens the server accepted
+ * within TOKEN_TRUST_MS are used as they are; older ones are verified with
+ * a ping and refreshed transparently if expired. A token that expires
+ * anyway is renewed on the first 401 (see installTokenRenewal). Token and SSO
+ * accounts have no password to fall back to: the user has to sign in again.
+ * @param {object} [options]
+ * @param {boolean} [options.interactive] - May open the 2FA prompt; off for
+ *   background jobs nobody is waiting for
+ */
+async function getAuthenticatedAPI(accountId, { interactive = true } = {}) {
+  const config = await loadAccountConfig(accountId);
+  if (!config || !config.serverUrl) {
+    throw new SeafileError("NO_CONFIG", messenger.i18n.getMessage("errorNoConfig"));
+  }
+
+  const serverUrl = validateServerUrl(config.serverUrl);
+
+  // 1. Try in-memory cached API instance
+  if (apiCache.has(accountId)) {
+    const api = apiCache.get(accountId);
+    if (api.isRecentlyValidated()) return apiForCaller(accountId, config, api, interactive);
+    // Ping through a copy without renewal: on a 401 the steps below sign in
+    // again, and only they know whether this caller may be prompted
+    const probe = new SeafileAPI(api.serverUrl);
+    probe.token = api.token;
+    try {
+      if (await probe.ping()) {
+        api.validatedAt = probe.validatedAt;
+        await recordTokenValidation(accountId, api.validatedAt);
+        return apiForCaller(accountId, config, api, interactive);
+      }
+    } catch { /* token expired */ }
+    apiCache.delete(accountId);
+  }
+
+  const authMethod = validateAuthMethod(config.authMethod);
+
+  // 2. Try stored token from password manager; skip the ping if it was
+  // accepted shortly before the background page was suspended
+  const storedToken = await getSecret(serverUrl, REALMS.TOKEN, config.username);
+  const storedApi = new SeafileAPI(serverUrl);
+  storedApi.token = storedToken;
+  storedApi.validatedAt = storedToken ? await getTokenValidation(accountId) : 0;
+  if (authMethod !== AUTH_METHODS.PASSWORD) {
+    // Network errors propagate: only a rejected token means "sign in again"
+    if (!storedToken || (!storedApi.isRecentlyValidated() && !(await storedApi.ping()))) {
+      throw new SeafileError("TOKEN_INVALID", messenger.i18n.getMessage("errorTokenInvalid"));
+    }
+    return cacheAccountAPI(accountId, config, storedApi, interactive);
+  }
+  if (storedToken) {
+    if (storedApi.isRecentlyValidated()) return cacheAccountAPI(accountId, config, storedApi, interactive);
+    try {
+      if (await storedApi.ping()) return cacheAccountAPI(accountId, config, storedApi, interactive);
+    } catch { /* token expired */ }
+  }
+
+  // 3. Re-authenticate with stored password
+  const api = await signInWithStoredPassword(accountId, config, serverUrl, interactive);
+  return cacheAccountAPI(accountId, config, api, interactive);
+}
+
+// ─── Interactive 2FA Re-Authentication ───────────────────────────────────────
+
+/**
+ * Open 2FA prompts: accountId -> { serverUrl, credentials, windowId, promise, resolve, reject }.
+ * Concurrent uploads of an account share one prompt.
+ */
+const twoFactorPrompts = new Map();
+
+/**
+ * Ask the user for a 2FA code in a popup window and sign in with it.
+ * @returns {Promise<string>} New API token
+ */
+function requestTwoFactorLogin(accountId, serverUrl, credentials) {
+  const pending = twoFactorPrompts.get(accountId);
+  if (pending) return pending.promise;
+
+  const prompt = { serverUrl, credentials, windowId: null };
+  prompt.promise = new Promise((resolve, reject) => {
+    prompt.resolve = resolve;
+    prompt.reject = reject;
+  });
+  twoFactorPrompts.set(accountId, prompt);
+
+  const timer = setTimeout(() => {
+    prompt.reject(new SeafileError("2FA_TIMEOUT", messenger.i18n.getMessage("error2faTimeout")));
+  }, TWO_FACTOR_PROMPT.TIMEOUT_MS);
+
+  prompt.promise
+    .catch(() => { /* handled by the callers */ })
+    .finally(() => {
+      clearTimeout(timer);
+      twoFactorPrompts.delete(accountId);
+      if (prompt.windowId !== null) {
+        messenger.windows.remove(prompt.windowId).catch(() => { /* already closed */ });
+      }
+    });
+
+  messenger.windows.create({
+    url: `reauth.html?accountId=${encodeURIComponent(accountId)}`,
+    type: "popup",
+    width: TWO_FACTOR_PROMPT.WIDTH,
+    height: TWO_FACTOR_PROMPT.HEIGHT,
+  }).then((win) => {
+    prompt.windowId = win.id;
+  }, (error) => {
+    prompt.reject(error);
+  });
+
+  return prompt.promise;
+}
+
+/**
+ * Sign in with the code entered in the 2FA popup. On success the waiting
+ * uploads continue; a wrong code leaves the prompt open for another try.
+ */
+async function submitTwoFactorCode(accountId, otpToken, trustDevice) {
+  const prompt = twoFactorPrompts.get(accountId);
+  if (!prompt) {
+    throw new SeafileError("2FA_NO_PROMPT", messenger.i18n.getMessage("error2faNoPrompt"));
+  }
+
+  const { username, password } = prompt.credentials;
+  const api = new SeafileAPI(prompt.serverUrl);
+  await api.authenticate(username, password, otpToken, { trustDevice });
+
+  if (trustDevice && api.s2faToken) {
+    await saveSecret(prompt.serverUrl, REALMS.S2FA, username, api.s2faToken);
+  }
+  prompt.resolve(api.token);
+}
+
+// Closing the popup cancels the sign-in; waiting uploads fail
+messenger.windows.onRemoved.addListener((windowId) => {
+  for (const prompt of twoFactorPrompts.values()) {
+    if (prompt.windowId === windowId) {
+      prompt.windowId = null;
+      prompt.reject(new SeafileError("2FA_CANCELLED", messenger.i18n.getMessage("error2faCancelled")));
+    }
+  }
+});
+
+// ─── Encrypted Libraries ─────────────────────────────────────────────────────
+
+/**
+ * Unlock a library if a password is stored for it. This runs before every
+ * operation on the library instead of tracking Seafile's decryption
+ * session, so a session that timed out between operations is simply
+ * renewed. If it times out during a single long upload, that upload fails
+ * with the server's error and attaching the file again unlocks anew.
+ * @param {boolean} encrypted - Known to be encrypted: a missing password is an error
+ */
+async function unlockRepo(api, repoId, encrypted = false) {
+  const password = await getSecret(api.serverUrl, REALMS.REPO_PW, repoId);
+  if (!password) {
+    if (encrypted) {
+      throw new SeafileError("REPO_PASSWORD_MISSING", messenger.i18n.getMessage("errorRepoPasswordMissing"));
+    }
+    return;
+  }
+  await api.setRepoPassword(repoId, password);
+}
+
+/**
+ * Seafile servers commonly refuse share and upload links for encrypted
+ * libraries. Give that case its own explanation instead of a bare status.
+ */
+function explainLinkError(error, config) {
+  if (config.repoEncrypted && error instanceof SeafileError &&
+      ["SHARE_LINK_FAILED", "UPLOAD_LINK_CREATE_FAILED", "PERMISSION_DENIED"].includes(error.code)) {
+    return new SeafileError("ENCRYPTED_LINK_REFUSED", messenger.i18n.getMessage("errorEncryptedLinkRefused"));
+  }
+  return error;
+}
+
+/**
+ * Remove a library password unless another account on the same server
+ * still uploads into that library.
+ */
+async function removeRepoPassword(serverUrl, repoId, excludeAccountId) {
+  const configs = await loadAllAccountConfigs();
+  const stillUsed = Object.entries(configs).some(([id, c]) =>
+    id !== excludeAccountId && c.serverUrl === serverUrl && c.repoId === repoId
+  );
+  if (!stillUsed) {
+    await removeSecret(serverUrl, REALMS.REPO_PW, repoId);
+  }
+}
+
+/**
+ * Remove whatever an aborted upload already created on the server.
+ * Best effort: failures are only logged.
+ */
+async function discardPartialUpload(api, repoId, filePath, shareLinkToken) {
+  if (!api) return;
+  try {
+    if (shareLinkToken) await api.deleteShareLink(shareLinkToken);
+    if (filePath) await api.deleteFile(repoId, filePath);
+  } catch (error) {
+    logError("abort cleanup", error);
+  }
+}
+
+// ─── Quota ───────────────────────────────────────────────────────────────────
+
+/** Short-lived account info cache: accountId -> { info, fetchedAt } */
+const accountInfoCache = new Map();
+
+async function getCachedAccountInfo(api, accountId, forceRefresh = false) {
+  const cached = accountInfoCache.get(accountId);
+  if (!forceRefresh && cached && Date.now() - cached.fetchedAt < ACCOUNT_INFO_CACHE_MS) {
+    return cached.info;
+  }
+  const info = await api.getAccountInfo();
+  accountInfoCache.set(accountId, { info, fetchedAt: Date.now() });
+  return info;
+}
+
+/**
+ * Fail early if the file does not fit into the remaining quota.
+ * Seafile reports a non-positive total for unlimited quota. If the account
+ * info cannot be fetched, the upload proceeds and the server decides.
+ */
+async function checkQuota(api, accountId, size) {
+  let info;
+  try {
+    info = await getCachedAccountInfo(api, accountId);
+  } catch (error) {
+    logError("quota check", error);
+    return;
+  }
+  if (typeof info.total !== "number" || info.total <= 0) return;
+
+  const remaining = Math.max(0, info.total - (info.usage || 0));
+  if (size > remaining) {
+    throw new SeafileError(
+      "QUOTA_EXCEEDED",
+      messenger.i18n.getMessage("errorQuotaExceeded", [formatBytes(size), formatBytes(remaining)])
+    );
+  }
+}
+
+/**
+ * Account for a finished upload in the cached usage, so back-to-back
+ * uploads are checked against the right remaining space.
+ */
+function recordQuotaUsage(accountId, size) {
+  const cached = accountInfoCache.get(accountId);
+  if (cached) {
+    cached.info.usage = (cached.info.usage || 0) + size;
+  }
+}
+
+// ─── Upload Registry ─────────────────────────────────────────────────────────
+
+/**
+ * Tracks uploaded files: uploadId -> metadata. Mirrored to storage.local, so
+ * the upload history and retention cleanup keep them after a restart.
+ * Removing an attachment only deletes files of the current session (see
+ * getUploadId).
+ */
+const uploadedFiles = new Map();
+
+/** Random ID of the current Thunderbird session (storage.session). */
+const SESSION_ID_KEY = "sessionId";
+
+/** Resolves to the current session's ID */
+let sessionIdLoaded = null;
+
+/** Resolves once the registry has been read from storage */
+let uploadRegistryLoaded = null;
+
+/** Serializes registry writes so concurrent updates cannot overtake each other */
+let uploadRegistryWrite = Promise.resolve();
+
+function getSessionId() {
+  sessionIdLoaded ??= (async () => {
+    const stored = (await messenger.storage.session.get(SESSION_ID_KEY))[SESSION_ID_KEY];
+    if (stored) return stored;
+    const sessionId = crypto.randomUUID();
+    await messenger.storage.session.set({ [SESSION_ID_KEY]: sessionId });
+    return sessionId;
+  })();
+  return sessionIdLoaded;
+}
+
+/**
+ * Registry key of a cloudFile upload. cloudFile IDs are counters per account
+ * that start over every session, so an ID alone may name an older upload
+ * or another account's. The event only carries that ID, so uploads of an
+ * earlier session can't be matched: they stay on the server.
+ * @returns {Promise<string>}
+ */
+async function getUploadId(accountId, fileId) {
+  return `${accountId}/${await getSessionId()}/${fileId}`;
+}
+
+/**
+ * Bring a stored registry up to the current schema.
+ * @returns {Object<string, Object>} uploadId -> metadata
+ */
+function migrateUploadRegistry(stored) {
+  if (!stored || typeof stored !== "object") return {};
+  let entries = stored.entries && typeof stored.entries === "object" ? stored.entries : {};
+  // Older schema versions get migrated here, one step per version
+  if (stored.version === 1) {
+    // Keyed by bare cloudFile ID: these belong to no current session
+    entries = Object.fromEntries(Object.entries(entries).map(
+      ([fileId, info]) => [`${info.accountId}/v1/${fileId}`, info]
+    ));
+  } else if (stored.version !== UPLOAD_REGISTRY.VERSION) {
+    console.warn(`Seafile FileLink: discarding upload registry with unknown version ${stored.version}`);
+    return {};
+  }
+  return entries;
+}
+
+function loadUploadRegistry() {
+  uploadRegistryLoaded ??= (async () => {
+    const result = await messenger.storage.local.get(UPLOAD_REGISTRY.KEY);
+    const entries = migrateUploadRegistry(result[UPLOAD_REGISTRY.KEY]);
+    for (const [uploadId, info] of Object.entries(entries)) {
+      uploadedFiles.set(uploadId, info);
+    }
+  })();
+  return uploadRegistryLoaded;
+}
+
+function persistUploadRegistry() {
+  const snapshot = {
+    version: UPLOAD_REGISTRY.VERSION,
+    entries: Object.fromEntries(uploadedFiles),
+  };
+  uploadRegistryWrite = uploadRegistryWrite
+    .then(() => messenger.storage.local.set({ [UPLOAD_REGISTRY.KEY]: snapshot }))
+    .catch((e) => console.warn("Seafile FileLink: could not persist upload registry:", e.message));
+  return uploadRegistryWrite;
+}
+
+async function trackUpload(uploadId, info) {
+  await loadUploadRegistry();
+  uploadedFiles.set(uploadId, { ...info, createdAt: Date.now() });
+  await persistUploadRegistry();
+}
+
+async function updateTrackedUpload(uploadId, changes) {
+  await loadUploadRegistry();
+  const info = uploadedFiles.get(uploadId);
+  if (!info) return;
+  uploadedFiles.set(uploadId, { ...info, ...changes });
+  await persistUploadRegistry();
+}
+
+/**
+ * Apply the same changes to several entries (e.g. all uses of one file).
+ */
+async function updateTrackedUploads(uploadIds, changes) {
+  await loadUploadRegistry();
+  for (const uploadId of uploadIds) {
+    const info = uploadedFiles.get(uploadId);
+    if (info) uploadedFiles.set(uploadId, { ...info, ...changes });
+  }
+  await persistUploadRegistry();
+}
+
+async function getTrackedUpload(uploadId) {
+  await loadUploadRegistry();
+  return uploadedFiles.get(uploadId) || null;
+}
+
+async function untrackUpload(uploadId) {
+  await loadUploadRegistry();
+  if (uploadedFiles.delete(uploadId)) {
+    await persistUploadRegistry();
+  }
+}
+
+/**
+ * Whether another tracked attachment points to the same file on the server
+ * (deduplicated uploads share one file).
+ */
+function isUploadShared(uploadId, fileInfo) {
+  for (const [otherId, info] of uploadedFiles) {
+    if (otherId !== uploadId && info.repoId === fileInfo.repoId && info.filePath === fileInfo.filePath) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Tracked uploads grouped by the file on the server (reused uploads share
+ * one file); info is the most recent entry of each group.
+ * @param {string|null} accountId - Only this account's files
+ * @returns {Promise<Array<{uploadIds: string[], info: Object}>>}
+ */
+async function groupTrackedUploads(accountId = null) {
+  await loadUploadRegistry();
+  const files = new Map();
+  for (const [uploadId, info] of uploadedFiles) {
+    if (accountId !== null && info.accountId !== accountId) continue;
+    const key = `${info.accountId}\n${info.repoId}\n${info.filePath}`;
+    const file = files.get(key);
+    if (!file) {
+      files.set(key, { uploadIds: [uploadId], info });
+    } else {
+      file.uploadIds.push(uploadId);
+      if (info.createdAt > file.info.createdAt) file.info = info;
+    }
+  }
+  return [...files.values()];
+}
+
+/**
+ * The group of the file a tracked upload points to.
+ * @returns {Promise<{uploadIds: string[], info: Object}|null>}
+ */
+async function getTrackedFileGroup(uploadId) {
+  const info = await getTrackedUpload(uploadId);
+  if (!info) return null;
+  const groups = await groupTrackedUploads(info.accountId);
+  return groups.find((group) => group.uploadIds.includes(uploadId)) || null;
+}
+
+/**
+ * Forget which compose tab uploads came from once the tab is closed. Tab IDs
+ * start over every session, so all of them are forgotten on startup.
+ * @param {number|null} tabId - Only uploads of this tab
+ */
+async function detachComposeTab(tabId = null) {
+  await loadUploadRegistry();
+  let changed = false;
+  for (const [uploadId, info] of uploadedFiles) {
+    if (info.tabId === null || info.tabId === undefined) continue;
+    if (tabId !== null && info.tabId !== tabId) continue;
+    uploadedFiles.set(uploadId, { ...info, tabId: null });
+    changed = true;
+  }
+  if (changed) await persistUploadRegistry();
+}
+
+/**
+ * Remove the generated link passwords of all tracked uploads of an account.
+ */
+async function removeAccountLinkPasswords(serverUrl, accountId) {
+  await loadUploadRegistry();
+  for (const info of uploadedFiles.values()) {
+    if (info.accountId === accountId && info.passwordGenerated) {
+      await removeSecret(serverUrl, REALMS.LINK_PW, info.shareLinkToken);
+    }
+  }
+}
+
+/**
+ * Drop entries of deleted accounts and entries older than MAX_AGE_DAYS.
+ * @param {string|null} removedAccountId - Account that is being deleted right now
+ */
+async function pruneUploadRegistry(removedAccountId = null) {
+  await loadUploadRegistry();
+  const accounts = await messenger.cloudFile.getAllAccounts();
+  const accountIds = new Set(accounts.map((a) => a.id));
+  accountIds.delete(removedAccountId);
+  const cutoff = Date.now() - UPLOAD_REGISTRY.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+  const pruned = [];
+  for (const [uploadId, info] of uploadedFiles) {
+    if (!accountIds.has(info.accountId) || !(info.createdAt >= cutoff)) {
+      uploadedFiles.delete(uploadId);
+      pruned.push(info);
+    }
+  }
+  if (pruned.length === 0) return;
+  await persistUploadRegistry();
+
+  // Generated link passwords of deleted accounts are removed together with
+  // the account (removeAccountLinkPasswords); those of aged-out entries here
+  for (const info of pruned) {
+    if (!info.passwordGenerated || !accountIds.has(info.accountId)) continue;
+    try {
+      const config = await loadAccountConfig(info.accountId);
+      await removeSecret(validateServerUrl(config.serverUrl), REALMS.LINK_PW, info.shareLinkToken);
+    } catch (e) {
+      console.warn("Seafile FileLink: could not remove link password:", e.message);
+    }
+  }
+}
+
+// ─── Upload Reuse (Content-Hash Index) ───────────────────────────────────────
+
+/** Serializes index read-modify-write cycles */
+let uploadIndexWrite = Promise.resolve();
+
+/**
+ * @returns {Promise<Object<string, Object<string, Object>>>} accountId -> sha256 -> entry
+ */
+async function loadUploadIndex() {
+  const result = await messenger.storage.local.get(UPLOAD_INDEX.KEY);
+  const stored = result[UPLOAD_INDEX.KEY];
+  if (!stored || stored.version !== UPLOAD_INDEX.VERSION) return {};
+  return stored.accounts || {};
+}
+
+function updateUploadIndex(mutate) {
+  uploadIndexWrite = uploadIndexWrite
+    .then(async () => {
+      const accounts = await loadUploadIndex();
+      mutate(accounts);
+      await messenger.storage.local.set({
+        [UPLOAD_INDEX.KEY]: { version: UPLOAD_INDEX.VERSION, accounts },
+      });
+    })
+    .catch((e) => console.warn("Seafile FileLink: could not update upload index:", e.message));
+  return uploadIndexWrite;
+}
+
+function indexUpload(accountId, contentHash, entry) {
+  return updateUploadIndex((accounts) => {
+    accounts[accountId] = { ...accounts[accountId], [contentHash]: entry };
+  });
+}
+
+function forgetIndexedUpload(accountId, contentHash) {
+  return updateUploadIndex((accounts) => {
+    delete accounts[accountId]?.[contentHash];
+  });
+}
+
+function forgetAccountUploadIndex(accountId) {
+  return updateUploadIndex((accounts) => {
+    delete accounts[accountId];
+  });
+}
+
+/**
+ * SHA-256 over the file content, hex encoded.
+ */
+async function hashContent(file) {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Look up an earlier upload with identical content and compatible share
+ * options, and verify that both file and share link still exist.
+ * @returns {Promise<Object|null>} Index entry plus the link's current expiry
+ */
+async function findReusableUpload(api, accountId, contentHash, shareLinkOptions) {
+  const entry = (await loadUploadIndex())[accountId]?.[contentHash];
+  if (!entry) return null;
+
+  if (entry.expireDays !== (shareLinkOptions.expireDays || 0) ||
+      entry.passwordProtected !== !!shareLinkOptions.password) {
+    return null;
+  }
+
+  let exists, link;
+  try {
+    [exists, link] = await Promise.all([
+      api.fileExists(entry.repoId, entry.filePath),
+      api.getShareLink(entry.shareLinkToken),
+    ]);
+  } catch (error) {
+    // Can't verify file and link right now: upload afresh instead, but keep
+    // the entry for later uploads
+    logError("reuse check", error);
+    return null;
+  }
+  if (!exists || !link || link.is_expired) {
+    await forgetIndexedUpload(accountId, contentHash);
+    return null;
+  }
+
+  return {
+    ...entry,
+    url: link.link || entry.url,
+    expiresAt: link.expire_date ? Date.parse(link.expire_date) : null,
+  };
+}
+
+/**
+ * Collect share link options for an account (password from secure storage).
+ */
+async function loadShareLinkOptions(config) {
+  const shareLinkOptions = {};
+  if (config.sharePasswordMode === SHARE_PASSWORD_MODES.RANDOM) {
+    shareLinkOptions.password = generatePassword();
+    shareLinkOptions.passwordGenerated = true;
+  } else {
+    const sharePw = await getSecret(
+      validateServerUrl(config.serverUrl),
+      REALMS.SHARE_PW,
+      config.username
+    );
+    if (sharePw) {
+      shareLinkOptions.password = sharePw;
+    }
+  }
+  if (config.shareLinkExpireDays && config.shareLinkExpireDays > 0) {
+    shareLinkOptions.expireDays = config.shareLinkExpireDays;
+  }
+  return shareLinkOptions;
+}
+
+// ─── Retention Cleanup ───────────────────────────────────────────────────────
+
+/**
+ * Tracked files of an account that a retention policy would remove. Reused
+ * uploads share one file, which counts from its most recent use.
+ * @returns {Promise<Array<{uploadIds: string[], info: Object, reason: string}>>}
+ */
+async function findRetentionCandidates(api, accountId, policy) {
+  const cutoff = Date.now() - policy.days * 24 * 60 * 60 * 1000;
+  const candidates = [];
+  for (const file of await groupTrackedUploads(accountId)) {
+    if (policy.mode === RETENTION_MODES.AGE && file.info.createdAt <= cutoff) {
+      candidates.push({ ...file, reason: RETENTION_MODES.AGE });
+    } else if (policy.mode === RETENTION_MODES.EXPIRED && file.info.shareLinkToken) {
+      // Links revoked on purpose (removal policy, upload history) keep
+      // their file in the library: only expired or vanished links count
+      let link;
+      try {
+        link = await api.getShareLink(file.info.shareLinkToken);
+      } catch (error) {
+        // Unknown state: keep the file and check again on the next run
+        logError("retention link check", error);
+        continue;
+      }
+      if (!link || link.is_expired) {
+        candidates.push({ ...file, reason: RETENTION_MODES.EXPIRED });
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Delete a tracked file along with its link, link passwords and
+ * registry/index entries.
+ */
+async function removeTrackedFile(api, accountId, { uploadIds, info }) {
+  // A file that is already gone counts as removed
+  if (!(await api.deleteFile(info.repoId, info.filePath)) &&
+      (await api.fileExists(info.repoId, info.filePath))) {
+    throw new SeafileError("DELETE_FAILED", messenger.i18n.getMessage("errorDeleteFile", [info.filePath]));
+  }
+  if (info.shareLinkToken) {
+    await api.deleteShareLink(info.shareLinkToken).catch(() => false);
+  }
+
+  for (const uploadId of uploadIds) {
+    const entry = await getTrackedUpload(uploadId);
+    if (entry?.passwordGenerated) {
+      await removeSecret(api.serverUrl, REALMS.LINK_PW, entry.shareLinkToken);
+    }
+    if (entry?.contentHash) {
+      await forgetIndexedUpload(accountId, entry.contentHash);
+    }
+    await untrackUpload(uploadId);
+  }
+}
+
+/**
+ * Apply an account's retention policy.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only list what would be removed
+ * @param {{mode: string, days: number}} [options.policy] - Instead of the saved one
+ * @param {boolean} [options.interactive] - See getAuthenticatedAPI
+ * @returns {Promise<Array<Object>>} Files (to be) removed
+ */
+async function runRetentionCleanup(accountId, { dryRun = false, policy = null, interactive = false } = {}) {
+  const config = await loadAccountConfig(accountId);
+  if (!config) {
+    throw new SeafileError("NO_CONFIG", messenger.i18n.getMessage("errorNoConfig"));
+  }
+  const activePolicy = policy || validateRetentionPolicy(config.retentionMode, config.retentionDays);
+  if (activePolicy.mode === RETENTION_MODES.OFF) return [];
+
+  const api = await getAuthenticatedAPI(accountId, { interactive });
+  const candidates = await findRetentionCandidates(api, accountId, activePolicy);
+  const describe = ({ info, reason }) => ({
+    accountId,
+    name: info.name,
+    repoId: info.repoId,
+    filePath: info.filePath,
+    uploadedAt: info.createdAt,
+    reason,
+  });
+  if (dryRun) return candidates.map(describe);
+
+  const removed = [];
+  const unlocked = new Set();
+  for (const candidate of candidates) {
+    try {
+      if (!unlocked.has(candidate.info.repoId)) {
+        await unlockRepo(api, candidate.info.repoId);
+        unlocked.add(candidate.info.repoId);
+      }
+      await removeTrackedFile(api, accountId, candidate);
+      removed.push({ ...describe(candidate), removedAt: Date.now() });
+    } catch (error) {
+      logError("retention", error);
+    }
+  }
+  await appendRetentionLog(removed);
+  return removed;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Removed files, newest first
+ */
+async function loadRetentionLog() {
+  const result = await messenger.storage.local.get(RETENTION.LOG_KEY);
+  return Array.isArray(result[RETENTION.LOG_KEY]) ? result[RETENTION.LOG_KEY] : [];
+}
+
+async function appendRetentionLog(entries) {
+  if (entries.length === 0) return;
+  const log = [...entries].reverse()
+    .concat(await loadRetentionLog())
+    .slice(0, RETENTION.LOG_MAX_ENTRIES);
+  await messenger.storage.local.set({ [RETENTION.LOG_KEY]: log });
+}
+
+async function clearRetentionLog(accountId) {
+  const log = (await loadRetentionLog()).filter((entry) => entry.accountId !== accountId);
+  await messenger.storage.local.set({ [RETENTION.LOG_KEY]: log });
+}
+
+// Top-level code runs on every wake of the event page, including the one
+// caused by this alarm: only create it if it isn't scheduled yet
+messenger.alarms.get(RETENTION.ALARM)
+  .then((alarm) => alarm || messenger.alarms.create(RETENTION.ALARM, {
+    delayInMinutes: RETENTION.DELAY_MINUTES,
+    periodInMinutes: RETENTION.PERIOD_MINUTES,
+  }))
+  .catch((e) => console.warn("Seafile FileLink: could not schedule retention cleanup:", e.message));
+
+messenger.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== RETENTION.ALARM) return;
+  const configs = await loadAllAccountConfigs();
+  for (const accountId of Object.keys(configs)) {
+    try {
+      await runRetentionCleanup(accountId);
+    } catch (error) {
+      // Accounts that need an interactive sign-in are skipped until the next run
+      logError("retention", error);
+    }
+  }
+});
+
+// ─── Upload History ──────────────────────────────────────────────────────────
+
+/**
+ * Expiry timestamp of a tracked upload; entries from before expiresAt was
+ * tracked derive it from the upload date.
+ */
+function trackedExpiresAt(info) {
+  if (info.expiresAt !== undefined) return info.expiresAt;
+  return info.expireDays > 0 ? info.createdAt + info.expireDays * 24 * 60 * 60 * 1000 : null;
+}
+
+/**
+ * List all tracked files for the history page, newest first.
+ */
+async function listUploadHistory() {
+  const accounts = await messenger.cloudFile.getAllAccounts();
+  const accountNames = new Map(accounts.map((a) => [a.id, a.name]));
+
+  return (await groupTrackedUploads())
+    .map(({ uploadIds, info }) => ({
+      uploadId: uploadIds[uploadIds.length - 1],
+      uses: uploadIds.length,
+      name: info.name,
+      filePath: info.filePath,
+      size: info.size ?? null,
+      subject: info.subject || "",
+      accountId: info.accountId,
+      accountName: accountNames.get(info.accountId) || info.accountId,
+      uploadedAt: info.createdAt,
+      url: info.shareLinkToken ? info.url || null : null,
+      hasLink: !!info.shareLinkToken,
+      expiresAt: info.shareLinkToken ? trackedExpiresAt(info) : null,
+      passwordProtected: !!info.shareLinkToken && !!info.passwordProtected,
+      downloadCount: info.shareLinkToken ? info.downloadCount ?? null : null,
+    }))
+    .sort((a, b) => b.uploadedAt - a.uploadedAt);
+}
+
+/**
+ * Resolve a history action's file group and an API for its account.
+ */
+async function getHistoryTarget(uploadId) {
+  const group = await getTrackedFileGroup(uploadId);
+  if (!group) {
+    throw new SeafileError("UPLOAD_UNKNOWN", messenger.i18n.getMessage("errorUploadUnknown"));
+  }
+  const api = await getAuthenticatedAPI(group.info.accountId);
+  return { group, api };
+}
+
+/** Registry fields of an upload whose share link was revoked. */
+const REVOKED_LINK_FIELDS = Object.freeze({
+  shareLinkToken: null,
+  url: null,
+  expiresAt: null,
+  passwordProtected: false,
+  passwordGenerated: false,
+});
+
+/**
+ * Delete a share link. A failed DELETE only counts if the link is still
+ * there afterwards.
+ */
+async function revokeShareLink(api, token) {
+  if (await api.deleteShareLink(token)) return;
+  if (await api.getShareLink(token)) {
+    throw new SeafileError("SHARE_LINK_DELETE_FAILED", messenger.i18n.getMessage("errorShareLinkDelete"));
+  }
+}
+
+/**
+ * Forget a file's current share link: its generated password and the reuse
+ * index entry pointing to it.
+ */
+async function forgetShareLink(api, { info }) {
+  if (info.passwordGenerated) {
+    await removeSecret(api.serverUrl, REALMS.LINK_PW, info.shareLinkToken);
+  }
+  if (info.contentHash) {
+    await forgetIndexedUpload(info.accountId, info.contentHash);
+  }
+}
+
+async function revokeUploadLink(uploadId) {
+  const { group, api } = await getHistoryTarget(uploadId);
+  if (group.info.shareLinkToken) {
+    await revokeShareLink(api, group.info.shareLinkToken);
+  }
+  await forgetShareLink(api, group);
+  await updateTrackedUploads(group.uploadIds, REVOKED_LINK_FIELDS);
+}
+
+/**
+ * Replace a file's share link with a new one using the account's current
+ * share options.
+ */
+async function recreateUploadLink(uploadId) {
+  const { group, api } = await getHistoryTarget(uploadId);
+  const config = await loadAccountConfig(group.info.accountId);
+  await unlockRepo(api, group.info.repoId);
+
+  const shareLinkOptions = await loadShareLinkOptions(config);
+  const shareLink = await api.createShareLink(group.info.repoId, group.info.filePath, shareLinkOptions)
+    .catch((error) => {
+      throw explainLinkError(error, config);
+    });
+
+  if (group.info.shareLinkToken) {
+    await api.deleteShareLink(group.info.shareLinkToken).catch(() => false);
+    await forgetShareLink(api, group);
+  }
+  if (shareLinkOptions.passwordGenerated) {
+    await saveSecret(api.serverUrl, REALMS.LINK_PW, shareLink.token, shareLinkOptions.password);
+  }
+
+  await updateTrackedUploads(group.uploadIds, {
+    shareLinkToken: shareLink.token,
+    url: shareLink.link,
+    expireDays: shareLinkOptions.expireDays || 0,
+    expiresAt: shareLink.expire_date ? Date.parse(shareLink.expire_date) : null,
+    passwordProtected: !!shareLinkOptions.password,
+    passwordGenerated: !!shareLinkOptions.passwordGenerated,
+    downloadCount: 0,
+  });
+}
+
+async function setUploadLinkExpiry(uploadId, expireDays) {
+  const { group, api } = await getHistoryTarget(uploadId);
+  if (!group.info.shareLinkToken) {
+    throw new SeafileError("NO_SHARE_LINK", messenger.i18n.getMessage("errorNoShareLink"));
+  }
+  const days = validatePositiveInt(expireDays);
+  if (days < 1) {
+    throw new SeafileError("INVALID_EXPIRY", messenger.i18n.getMessage("errorExpiryDays"));
+  }
+
+  const link = await api.updateShareLinkExpiry(group.info.shareLinkToken, days);
+  // The reuse index matches on expiry; drop the entry rather than mismatch
+  if (group.info.contentHash) {
+    await forgetIndexedUpload(group.info.accountId, group.info.contentHash);
+  }
+  await updateTrackedUploads(group.uploadIds, {
+    expireDays: days,
+    expiresAt: link.expire_date
+      ? Date.parse(link.expire_date)
+      : Date.now() + days * 24 * 60 * 60 * 1000,
+  });
+}
+
+async function deleteUploadFromHistory(uploadId) {
+  const { group, api } = await getHistoryTarget(uploadId);
+  await unlockRepo(api, group.info.repoId);
+  await removeTrackedFile(api, group.info.accountId, group);
+}
+
+// ─── Download Statistics ─────────────────────────────────────────────────────
+
+/**
+ * Read the view counts of the tracked share links back from Seafile and
+ * notify about first downloads where the account asks for it.
+ * @param {boolean} [options.notifiedOnly] - Only accounts with notifications on
+ * @returns {Promise<number>} Number of links downloaded for the first time
+ */
+async function updateDownloadStats({ notifiedOnly = false } = {}) {
+  const configs = await loadAllAccountConfigs();
+  const byAccount = new Map();
+  for (const group of await groupTrackedUploads()) {
+    const config = configs[group.info.accountId];
+    if (!group.info.shareLinkToken || !config) continue;
+    if (notifiedOnly && !config.notifyDownloads) continue;
+    if (!byAccount.has(group.info.accountId)) byAccount.set(group.info.accountId, []);
+    byAccount.get(group.info.accountId).push(group);
+  }
+
+  let firstDownloads = 0;
+  for (const [accountId, groups] of byAccount) {
+    try {
+      // One request per account instead of one per link
+      const api = await getAuthenticatedAPI(accountId, { interactive: false });
+      const counts = new Map((await api.listShareLinks()).map((link) => [link.token, link.view_cnt]));
+
+      for (const { uploadIds, info } of groups) {
+        const count = counts.get(info.shareLinkToken);
+        if (typeof count !== "number" || count === info.downloadCount) continue;
+        await updateTrackedUploads(uploadIds, { downloadCount: count });
+
+        // Only links known to be unopened count: no notifications for
+        // uploads from before download tracking
+        if (info.downloadCount === 0 && count > 0) {
+          firstDownloads++;
+          if (configs[accountId].notifyDownloads) await notifyFirstDownload(info);
+        }
+      }
+    } catch (error) {
+      logError("download stats", error);
+    }
+  }
+  return firstDownloads;
+}
+
+async function notifyFirstDownload(info) {
+  await messenger.notifications.create(`seafile-download-${info.shareLinkToken}`, {
+    type: "basic",
+    iconUrl: "icons/seafile-64.png",
+    title: messenger.i18n.getMessage("notifyDownloadTitle"),
+    message: messenger.i18n.getMessage("notifyDownloadMessage", [info.name || info.filePath]),
+  });
+}
+
+/**
+ * Whether any link of an account with notifications on still waits for
+ * its first download.
+ */
+async function hasPendingDownloads() {
+  const configs = await loadAllAccountConfigs();
+  const now = Date.now();
+  return (await groupTrackedUploads()).some(({ info }) => {
+    const expiresAt = trackedExpiresAt(info);
+    return configs[info.accountId]?.notifyDownloads &&
+      info.shareLinkToken &&
+      info.downloadCount === 0 &&
+      (expiresAt === null || expiresAt > now);
+  });
+}
+
+/**
+ * Schedule the next poll; without a delay the stored one is kept.
+ */
+async function scheduleDownloadPoll(delayMinutes = null) {
+  if (delayMinutes === null) {
+    const stored = (await messenger.storage.local.get(DOWNLOAD_STATS.KEY))[DOWNLOAD_STATS.KEY];
+    delayMinutes = stored || DOWNLOAD_STATS.MIN_DELAY_MINUTES;
+  }
+  await messenger.storage.local.set({ [DOWNLOAD_STATS.KEY]: delayMinutes });
+  messenger.alarms.create(DOWNLOAD_STATS.ALARM, { delayInMinutes: delayMinutes });
+}
+
+/**
+ * Poll while links wait for their first download. The delay doubles after
+ * every poll without a new download and resets once one arrives.
+ */
+async function pollDownloadStats() {
+  if (!(await hasPendingDownloads())) {
+    await messenger.storage.local.remove(DOWNLOAD_STATS.KEY);
+    return;
+  }
+
+  const firstDownloads = await updateDownloadStats({ notifiedOnly: true });
+  const stored = (await messenger.storage.local.get(DOWNLOAD_STATS.KEY))[DOWNLOAD_STATS.KEY];
+  const delay = firstDownloads > 0
+    ? DOWNLOAD_STATS.MIN_DELAY_MINUTES
+    : Math.min((stored || DOWNLOAD_STATS.MIN_DELAY_MINUTES) * 2, DOWNLOAD_STATS.MAX_DELAY_MINUTES);
+  if (await hasPendingDownloads()) {
+    await scheduleDownloadPoll(delay);
+  } else {
+    await messenger.storage.local.remove(DOWNLOAD_STATS.KEY);
+  }
+}
+
+messenger.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== DOWNLOAD_STATS.ALARM) return;
+  try {
+    await pollDownloadStats();
+  } catch (error) {
+    console.warn("Seafile FileLink: download poll failed:", error.message);
+    await scheduleDownloadPoll(DOWNLOAD_STATS.MAX_DELAY_MINUTES);
+  }
+});
+
+// Alarms don't survive a restart: resume with the last delay. Every wake of
+// the event page runs this, so a scheduled poll must not be pushed back.
+Promise.all([hasPendingDownloads(), messenger.alarms.get(DOWNLOAD_STATS.ALARM)])
+  .then(([pending, alarm]) => pending && !alarm && scheduleDownloadPoll())
+  .catch((e) => console.warn("Seafile FileLink: could not schedule download poll:", e.message));
+
+// ─── Upload Progress ─────────────────────────────────────────────────────────
+
+/** Running uploads: uploadId -> { name, tabId, loaded, total } */
+const uploadProgress = new Map();
+
+/** Last badge text per compose tab, to skip redundant updates */
+const progressBadges = new Map();
+
+function startUploadProgress(uploadId, name, tabId, total) {
+  uploadProgress.set(uploadId, { name, tabId, loaded: 0, total });
+  updateProgressBadge(tabId);
+}
+
+function reportUploadProgress(uploadId, loaded) {
+  const progress = uploadProgress.get(uploadId);
+  if (!progress) return;
+  progress.loaded = loaded;
+  updateProgressBadge(progress.tabId);
+}
+
+function finishUploadProgress(uploadId) {
+  const progress = uploadProgress.get(uploadId);
+  if (!progress) return;
+  uploadProgress.delete(uploadId);
+  updateProgressBadge(progress.tabId);
+}
+
+/**
+ * Show the combined progress of a compose tab's uploads on its toolbar
+ * button, e.g. "42%"; cleared once all uploads are done.
+ */
+function updateProgressBadge(tabId) {
+  if (tabId == null) return;
+  let loaded = 0;
+  let total = 0;
+  for (const progress of uploadProgress.values()) {
+    if (progress.tabId !== tabId) continue;
+    loaded += progress.loaded;
+    total += progress.total;
+  }
+  const text = total > 0 ? `${Math.floor((loaded / total) * 100)}%` : "";
+  if (progressBadges.get(tabId) === text) return;
+
+  if (text) {
+    progressBadges.set(tabId, text);
+  } else {
+    progressBadges.delete(tabId);
+  }
+  messenger.composeAction.setBadgeText({ tabId, text }).catch(() => {});
+}
+
+/**
+ * Running uploads of a compose tab for the compose action popup.
+ */
+function listUploadProgress(tabId) {
+  const uploads = [];
+  for (const [uploadId, progress] of uploadProgress) {
+    if (progress.tabId !== tabId) continue;
+    uploads.push({ uploadId, name: progress.name, loaded: progress.loaded, total: progress.total });
+  }
+  return uploads;
+}
+
+// ─── Upload Queue ────────────────────────────────────────────────────────────
+
+/**
+ * Upload batches per account: accountId -> { active, waiting, shared, uploadLinks }.
+ * A batch lives while uploads of the account run or wait; its jobs share
+ * the sign-in, folder creation and upload links.
+ */
+const uploadQueues = new Map();
+
+/**
+ * Wait for a free upload slot of an account. Rejects with an AbortError if
+ * the upload is cancelled while waiting.
+ * @returns {Promise<Object>} The account's current batch
+ */
+async function acquireUploadSlot(accountId, signal) {
+  signal.throwIfAborted();
+  let batch = uploadQueues.get(accountId);
+  if (!batch) {
+    batch = { active: 0, waiting: [], shared: new Map(), uploadLinks: new Map() };
+    uploadQueues.set(accountId, batch);
+  }
+  if (batch.active < UPLOAD_QUEUE.MAX_CONCURRENT) {
+    batch.active++;
+    return batch;
+  }
+
+  await new Promise((resolve, reject) => {
+    batch.waiting.push(resolve);
+    signal.addEventListener("abort", () => {
+      const index = batch.waiting.indexOf(resolve);
+      if (index === -1) return;
+      batch.waiting.splice(index, 1);
+      reject(new DOMException("Aborted", "AbortError"));
+    }, { once: true });
+  });
+  return batch;
+}
+
+/**
+ * Hand the slot to the next waiting upload, or end the batch.
+ */
+function releaseUploadSlot(accountId) {
+  const batch = uploadQueues.get(accountId);
+  if (!batch) return;
+  const next = batch.waiting.shift();
+  if (next) {
+    next();
+  } else if (--batch.active === 0) {
+    uploadQueues.delete(accountId);
+  }
+}
+
+/**
+ * Run a step once per batch; concurrent jobs await the same result. A failed
+ * step is forgotten, so the next job tries again, unless the user refused
+ * (UPLOAD_QUEUE.FINAL_ERRORS): then the rest of the batch fails as well.
+ */
+function sharedStep(batch, key, step) {
+  if (!batch.shared.has(key)) {
+    const promise = step();
+    batch.shared.set(key, promise);
+    promise.catch((error) => {
+      if (!UPLOAD_QUEUE.FINAL_ERRORS.includes(error?.code)) batch.shared.delete(key);
+    });
+  }
+  return batch.shared.get(key);
+}
+
+/**
+ * Upload link for a folder, reused within a batch until it gets old.
+ */
+function getBatchUploadLink(batch, api, repoId, dir) {
+  const key = `${repoId}\n${dir}`;
+  const cached = batch.uploadLinks.get(key);
+  if (cached && Date.now() - cached.createdAt < UPLOAD_QUEUE.UPLOAD_LINK_TTL_MS) {
+    return cached.link;
+  }
+  const link = api.getUploadLink(repoId, dir);
+  batch.uploadLinks.set(key, { link, createdAt: Date.now() });
+  link.catch(() => batch.uploadLinks.delete(key));
+  return link;
+}
+
+// ─── Per-Message Share Options ───────────────────────────────────────────────
+// Chosen in the compose action popup and held in storage.session (memory
+// only), since a custom password must never be written to disk.
+
+function composeOptionsKey(tabId) {
+  return `composeShareOptions_${tabId}`;
+}
+
+/**
+ * Validate share options sent by the compose popup.
+ * expireDays: null = account default, 0 = no expiry.
+ */
+function validateComposeShareOptions(raw) {
+  if (!raw || typeof raw !== "object") return null;
+
+  const passwordMode = Object.values(COMPOSE_PASSWORD_MODES).includes(raw.passwordMode)
+    ? raw.passwordMode
+    : COMPOSE_PASSWORD_MODES.ACCOUNT;
+  const options = {
+    passwordMode,
+    expireDays: raw.expireDays == null ? null : validatePositiveInt(raw.expireDays),
+  };
+
+  if (passwordMode === COMPOSE_PASSWORD_MODES.CUSTOM) {
+    if (typeof raw.password !== "string" || raw.password.length === 0) {
+      throw new SeafileError("INVALID_OPTIONS", messenger.i18n.getMessage("errorNoSharePassword"));
+    }
+    options.password = raw.password;
+  }
+  return options;
+}
+
+async function getComposeShareOptions(tabId) {
+  if (tabId == null) return null;
+  const key = composeOptionsKey(tabId);
+  const result = await messenger.storage.session.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Override account share link options with the ones chosen for a message.
+ */
+function applyComposeShareOptions(shareLinkOptions, composeOptions) {
+  if (!composeOptions) return shareLinkOptions;
+
+  const options = { ...shareLinkOptions };
+  if (composeOptions.expireDays !== null) {
+    if (composeOptions.expireDays > 0) {
+      options.expireDays = composeOptions.expireDays;
+    } else {
+      delete options.expireDays;
+    }
+  }
+  if (composeOptions.passwordMode === COMPOSE_PASSWORD_MODES.NONE) {
+    delete options.password;
+    delete options.passwordGenerated;
+  } else if (composeOptions.passwordMode === COMPOSE_PASSWORD_MODES.CUSTOM) {
+    options.password = composeOptions.password;
+    delete options.passwordGenerated;
+  }
+  return options;
+}
+
+/**
+ * Append a paragraph of text to the body of a message being composed.
  */
-async function getAuthenticatedAPI(accountId) {
-  const config = await loadAccountConfig(accountId);
-  if (!config || !config.serverUrl) {
-    throw new SeafileError("NO_CONFIG", messenger.i18n.getMessage("errorNoConfig"));
+async function appendToComposeBody(tabId, text) {
+  const details = await messenger.compose.getComposeDetails(tabId);
+  if (details.isPlainText) {
+    await messenger.compose.setComposeDetails(tabId, {
+      plainTextBody: `${details.plainTextBody || ""}\n${text}\n`,
+    });
+    return;
   }
+  // Build the paragraph via DOM APIs (textContent), never from HTML strings
+  const doc = new DOMParser().parseFromString(details.body || "", "text/html");
+  const paragraph = doc.createElement("p");
+  paragraph.textContent = text;
+  doc.body.appendChild(paragraph);
+  await messenger.compose.setComposeDetails(tabId, {
+    body: doc.documentElement.outerHTML,
+  });
+}
 
-  const serverUrl = validateServerUrl(config.serverUrl);
+/**
+ * Create a folder below the account's upload directory plus an upload-only
+ * link for it, and insert the link into the message being composed.
+ * @returns {Promise<{link: string, expiresAt: number|null}>}
+ */
+async function createFileRequest(tabId, accountId, request) {
+  const api = await getAuthenticatedAPI(accountId);
+  const config = await loadAccountConfig(accountId);
 
-  // 1. Try in-memory cached API instance
-  if (apiCache.has(accountId)) {
-    const api = apiCache.get(accountId);
-    try {
-      if (await api.ping()) return api;
-    } catch { /* token expired */ }
-    apiCache.delete(accountId);
+  const uploadDir = await resolveUploadDir(config, tabId);
+  const folderName = sanitizeFolderName(request.folderName) || `request-${createUploadTag()}`;
+  const folder = sanitizePath(`${uploadDir}/${folderName}`);
+  await unlockRepo(api, config.repoId, config.repoEncrypted);
+  await api.ensureDirectory(config.repoId, folder);
+
+  const expireDays = validatePositiveInt(request.expireDays);
+  const uploadLink = await api.createUploadLink(config.repoId, folder, {
+    password: typeof request.password === "string" ? request.password : "",
+    expireDays,
+  }).catch((error) => {
+    throw explainLinkError(error, config);
+  });
+
+  let text = messenger.i18n.getMessage("composeInsertUploadLink", [uploadLink.link]);
+  let expiresAt = null;
+  if (expireDays > 0) {
+    expiresAt = uploadLink.expire_date
+      ? Date.parse(uploadLink.expire_date)
+      : Date.now() + expireDays * 24 * 60 * 60 * 1000;
+    const date = new Date(expiresAt).toLocaleDateString(messenger.i18n.getUILanguage());
+    text += " " + messenger.i18n.getMessage("composeInsertUploadLinkExpiry", [date]);
   }
+  await appendToComposeBody(tabId, text);
 
-  // 2. Try stored token from password manager
-  const storedToken = await getSecret(serverUrl, REALMS.TOKEN);
-  if (storedToken) {
-    const api = new SeafileAPI(serverUrl);
-    api.token = storedToken;
-    try {
-      if (await api.ping()) {
-        apiCache.set(accountId, api);
-        return api;
-      }
-    } catch { /* token expired */ }
-  }
+  return { link: uploadLink.link, expiresAt };
+}
 
-  // 3. Re-authenticate with stored password
-  const credentials = await messenger.loginManager.getCredentials(
-    serverUrl,
-    REALMS.PASSWORD
-  );
-  if (!credentials) {
-    throw new SeafileError("NO_CREDENTIALS", messenger.i18n.getMessage("errorNoCredentials"));
+/**
+ * Generated passwords of the links uploaded from a compose tab.
+ * @returns {Promise<Array<{uploadId: string, name: string, password: string}>>}
+ */
+async function listComposeLinkPasswords(tabId) {
+  await loadUploadRegistry();
+  const passwords = [];
+  for (const [uploadId, info] of uploadedFiles) {
+    if (info.tabId !== tabId || !info.passwordGenerated) continue;
+    const config = await loadAccountConfig(info.accountId);
+    if (!config) continue;
+    const password = await getSecret(
+      validateServerUrl(config.serverUrl), REALMS.LINK_PW, info.shareLinkToken
+    );
+    if (password) {
+      passwords.push({ uploadId, name: info.name, password });
+    }
   }
+  return passwords;
+}
 
-  const api = new SeafileAPI(serverUrl);
-  await api.authenticate(credentials.username, credentials.password);
+messenger.tabs.onRemoved.addListener((tabId) => {
+  messenger.storage.session.remove(composeOptionsKey(tabId)).catch(() => {});
+  // Generated passwords must not show up in a later tab with the same ID
+  detachComposeTab(tabId).catch((e) => console.warn("Seafile FileLink: could not detach compose tab:", e.message));
+});
 
-  // Persist new token securely
-  await saveSecret(serverUrl, REALMS.TOKEN, credentials.username, api.token);
-  apiCache.set(accountId, api);
+messenger.runtime.onStartup.addListener(() => {
+  detachComposeTab().catch((e) => console.warn("Seafile FileLink: could not detach compose tabs:", e.message));
+});
 
-  return api;
+/**
+ * Build the templateInfo shown in the compose window for a cloud attachment.
+ */
+function buildTemplateInfo(serviceUrl, expiresAt, passwordProtected) {
+  const templateInfo = {
+    service_url: serviceUrl,
+  };
+  if (expiresAt) {
+    templateInfo.download_expiry_date = { timestamp: expiresAt };
+  }
+  if (passwordProtected) {
+    templateInfo.download_password_protected = true;
+  }
+  return templateInfo;
 }
 
 // ─── cloudFile Event Handlers ────────────────────────────────────────────────
 
 messenger.cloudFile.onFileUpload.addListener(
   async (account, { id, name, data }, tab, relatedFileInfo) => {
+    const uploadId = await getUploadId(account.id, id);
+    const controller = new AbortController();
+    const signal = controller.signal;
+    uploadControllers.set(uploadId, controller);
+
+    // What has been created on the server so far (for cleanup on abort)
+    let api = null;
+    let repoId = null;
+    let filePath = null;
+    let shareLink = null;
+    let batch = null;
+
     try {
-      const api = await getAuthenticatedAPI(account.id);
+      // Bulk attachments queue up; jobs of a batch share sign-in and setup
+      batch = await acquireUploadSlot(account.id, signal);
+      api = await sharedStep(batch, "auth", () => getAuthenticatedAPI(account.id));
       const config = await loadAccountConfig(account.id);
 
-      const repoId = config.repoId;
-      const uploadDir = sanitizePath(config.uploadDir || "/Thunderbird-Attachments");
+      repoId = config.repoId;
+      const uploadDir = await resolveUploadDir(config, tab?.id);
+      // Not shared: a long batch may outlast Seafile's decryption session
+      await unlockRepo(api, repoId, config.repoEncrypted);
 
-      // Ensure directory
-      await api.ensureDirectory(repoId, uploadDir);
+      const target = resolveUploadTarget(config.uploadNaming, uploadDir, name);
+      const file = new File([data], target.fileName);
 
-      // Upload
-      const uploadLink = await api.getUploadLink(repoId, uploadDir);
-      const file = new File([data], name);
-      await api.uploadFile(uploadLink, uploadDir, file);
-
-      // Build file path
-      const filePath = sanitizePath(`${uploadDir}/${name}`);
-
-      // Create share link with options from secure storage
-      const shareLinkOptions = {};
-      const sharePw = await getSecret(
-        validateServerUrl(config.serverUrl),
-        REALMS.SHARE_PW
+      const composeOptions = await getComposeShareOptions(tab?.id);
+      const shareLinkOptions = applyComposeShareOptions(
+        await loadShareLinkOptions(config), composeOptions
       );
-      if (sharePw) {
-        shareLinkOptions.password = sharePw;
+
+      // Reuse an earlier upload of identical content (opt-in). Hashing needs
+      // the whole file in memory, so chunked-size files are always uploaded.
+      // Links protected by a per-message or generated password are never reused.
+      let contentHash = null;
+      if (config.reuseUploads && file.size <= CHUNKED_UPLOAD.THRESHOLD &&
+          composeOptions?.passwordMode !== COMPOSE_PASSWORD_MODES.CUSTOM &&
+          !shareLinkOptions.passwordGenerated) {
+        contentHash = await hashContent(file);
+        const reusable = await findReusableUpload(api, account.id, contentHash, shareLinkOptions);
+        signal.throwIfAborted();
+        if (reusable) {
+          await trackUpload(uploadId, {
+            name,
+            size: file.size,
+            subject: await getComposeSubject(tab?.id),
+            tabId: tab?.id ?? null,
+            repoId: reusable.repoId,
+            filePath: reusable.filePath,
+            accountId: account.id,
+            shareLinkToken: reusable.shareLinkToken,
+            url: reusable.url,
+            expireDays: reusable.expireDays,
+            expiresAt: reusable.expiresAt,
+            passwordProtected: reusable.passwordProtected,
+            contentHash,
+          });
+          return {
+            url: reusable.url,
+            templateInfo: buildTemplateInfo(
+              config.serverUrl, reusable.expiresAt, reusable.passwordProtected
+            ),
+          };
+        }
+      }
+
+      await checkQuota(api, account.id, file.size);
+
+      // Creates every missing segment, including a per-upload subfolder
+      await sharedStep(batch, `dir\n${repoId}\n${target.dir}`, () =>
+        api.ensureDirectory(repoId, target.dir)
+      );
+      signal.throwIfAborted();
+
+      // Upload
+      const uploadLink = await getBatchUploadLink(batch, api, repoId, target.dir);
+      signal.throwIfAborted();
+      startUploadProgress(uploadId, name, tab?.id ?? null, file.size);
+      const onProgress = (loaded) => reportUploadProgress(uploadId, loaded);
+      const storedName = file.size > CHUNKED_UPLOAD.THRESHOLD
+        ? await api.uploadFileChunked(uploadLink, repoId, target.dir, file, signal, false, onProgress)
+        : await api.uploadFile(uploadLink, target.dir, file, signal, false, onProgress);
+      finishUploadProgress(uploadId);
+
+      // Build file path from the name Seafile actually stored
+      filePath = sanitizePath(`${target.dir}/${storedName}`);
+      recordQuotaUsage(account.id, file.size);
+      signal.throwIfAborted();
+
+      try {
+        shareLink = await api.createShareLink(repoId, filePath, shareLinkOptions);
+      } catch (error) {
+        // Without a link the upload is of no use to the message
+        await discardPartialUpload(api, repoId, filePath, null);
+        throw explainLinkError(error, config);
       }
-      if (config.shareLinkExpireDays && config.shareLinkExpireDays > 0) {
-        shareLinkOptions.expireDays = config.shareLinkExpireDays;
+      signal.throwIfAborted();
+
+      // A generated password lives in the password manager, keyed by link token
+      if (shareLinkOptions.passwordGenerated) {
+        await saveSecret(
+          validateServerUrl(config.serverUrl), REALMS.LINK_PW,
+          shareLink.token, shareLinkOptions.password
+        );
       }
 
-      const shareLink = await api.createShareLink(repoId, filePath, shareLinkOptions);
+      let expiresAt = null;
+      if (shareLinkOptions.expireDays) {
+        const expireDate = new Date();
+        expireDate.setDate(expireDate.getDate() + shareLinkOptions.expireDays);
+        expiresAt = expireDate.getTime();
+      }
 
-      // Track for potential deletion
-      uploadedFiles.set(id, {
+      // Track for potential deletion and the upload history
+      await trackUpload(uploadId, {
+        name,
+        size: file.size,
+        subject: await getComposeSubject(tab?.id),
+        tabId: tab?.id ?? null,
         repoId,
         filePath,
         accountId: account.id,
         shareLinkToken: shareLink.token,
+        url: shareLink.link,
+        expireDays: shareLinkOptions.expireDays || 0,
+        expiresAt,
+        passwordProtected: !!shareLinkOptions.password,
+        passwordGenerated: !!shareLinkOptions.passwordGenerated,
+        downloadCount: 0,
+        contentHash,
       });
-
-      // Build template info
-      const templateInfo = {
-        service_url: config.serverUrl,
-      };
-
-      if (config.shareLinkExpireDays && config.shareLinkExpireDays > 0) {
-        const expireDate = new Date();
-        expireDate.setDate(expireDate.getDate() + config.shareLinkExpireDays);
-        templateInfo.download_expiry_date = { timestamp: expireDate.getTime() };
+      if (config.notifyDownloads) {
+        await scheduleDownloadPoll(DOWNLOAD_STATS.MIN_DELAY_MINUTES);
       }
 
-      if (sharePw) {
-        templateInfo.download_password_protected = true;
+      if (contentHash) {
+        await indexUpload(account.id, contentHash, {
+          repoId,
+          filePath,
+          url: shareLink.link,
+          shareLinkToken: shareLink.token,
+          expireDays: shareLinkOptions.expireDays || 0,
+          passwordProtected: !!shareLinkOptions.password,
+          createdAt: Date.now(),
+        });
       }
 
-      return { url: shareLink.link, templateInfo };
+      return {
+        url: shareLink.link,
+        templateInfo: buildTemplateInfo(config.serverUrl, expiresAt, !!shareLinkOptions.password),
+      };
     } catch (error) {
+      if (signal.aborted) {
+        await discardPartialUpload(api, repoId, filePath, shareLink?.token);
+        return { aborted: true };
+      }
       // Log without leaking secrets
-      console.error(`Seafile upload error [${error.code || "UNKNOWN"}]: ${error.message}`);
+      logError("upload", error, console.error);
       return { error: error.message || messenger.i18n.getMessage("errorUploadGeneric") };
+    } finally {
+      uploadControllers.delete(uploadId);
+      finishUploadProgress(uploadId);
+      if (batch) releaseUploadSlot(account.id);
     }
   }
 );
 
-messenger.cloudFile.onFileUploadAbort.addListener((account, fileId) => {
-  uploadedFiles.delete(fileId);
+messenger.cloudFile.onFileUploadAbort.addListener(async (account, fileId) => {
+  const uploadId = await getUploadId(account.id, fileId);
+  // Cancels the in-flight request; the upload handler then cleans up
+  uploadControllers.get(uploadId)?.abort();
+  await untrackUpload(uploadId);
+});
+
+messenger.cloudFile.onFileRename.addListener(async (account, fileId, newName, tab) => {
+  const uploadId = await getUploadId(account.id, fileId);
+  const fileInfo = await getTrackedUpload(uploadId);
+  if (!fileInfo) {
+    return { error: messenger.i18n.getMessage("errorRenameUnknown") };
+  }
+
+  try {
+    // Deduplicated uploads share one file that other messages link to
+    if (isUploadShared(uploadId, fileInfo)) {
+      throw new SeafileError("RENAME_SHARED", messenger.i18n.getMessage("errorRenameShared"));
+    }
+
+    const api = await getAuthenticatedAPI(account.id);
+    const config = await loadAccountConfig(account.id);
+    const { repoId } = fileInfo;
+    await unlockRepo(api, repoId);
+
+    const dir = fileInfo.filePath.slice(0, fileInfo.filePath.lastIndexOf("/")) || "/";
+    const fileName = validateUploadNaming(config.uploadNaming) === UPLOAD_NAMING.SUFFIX
+      ? appendNameSuffix(newName, createUploadTag())
+      : newName;
+    const storedName = await api.renameFile(repoId, fileInfo.filePath, fileName);
+    const filePath = sanitizePath(`${dir}/${storedName}`);
+
+    // Share links are bound to a path: keep the link if it followed the
+    // rename, otherwise replace it with a new one
+    let shareLink = await api.getShareLink(fileInfo.shareLinkToken).catch(() => null);
+    let expireDays = fileInfo.expireDays || 0;
+    let passwordProtected = !!fileInfo.passwordProtected;
+    let passwordGenerated = !!fileInfo.passwordGenerated;
+    if (!shareLink || shareLink.path !== filePath) {
+      const shareLinkOptions = applyComposeShareOptions(
+        await loadShareLinkOptions(config), await getComposeShareOptions(tab?.id)
+      );
+      shareLink = await api.createShareLink(repoId, filePath, shareLinkOptions);
+      expireDays = shareLinkOptions.expireDays || 0;
+      passwordProtected = !!shareLinkOptions.password;
+      passwordGenerated = !!shareLinkOptions.passwordGenerated;
+      await api.deleteShareLink(fileInfo.shareLinkToken).catch(() => false);
+
+      if (fileInfo.passwordGenerated) {
+        await removeSecret(api.serverUrl, REALMS.LINK_PW, fileInfo.shareLinkToken);
+      }
+      if (passwordGenerated) {
+        await saveSecret(api.serverUrl, REALMS.LINK_PW, shareLink.token, shareLinkOptions.password);
+      }
+    }
+
+    await updateTrackedUpload(uploadId, {
+      name: newName,
+      filePath,
+      shareLinkToken: shareLink.token,
+      url: shareLink.link,
+      expiresAt: shareLink.expire_date ? Date.parse(shareLink.expire_date) : null,
+      expireDays,
+      passwordProtected,
+      passwordGenerated,
+      downloadCount: shareLink.token === fileInfo.shareLinkToken ? fileInfo.downloadCount : 0,
+    });
+    if (fileInfo.contentHash) {
+      await indexUpload(account.id, fileInfo.contentHash, {
+        repoId,
+        filePath,
+        url: shareLink.link,
+        shareLinkToken: shareLink.token,
+        expireDays,
+        passwordProtected,
+        createdAt: Date.now(),
+      });
+    }
+
+    return {
+      url: shareLink.link,
+      templateInfo: buildTemplateInfo(
+        config.serverUrl,
+        shareLink.expire_date ? Date.parse(shareLink.expire_date) : null,
+        passwordProtected
+      ),
+    };
+  } catch (error) {
+    logError("rename", error, console.error);
+    return { error: error.message || messenger.i18n.getMessage("errorRenameGeneric") };
+  }
 });
 
 messenger.cloudFile.onFileDeleted.addListener(async (account, fileId) => {
-  const fileInfo = uploadedFiles.get(fileId);
+  const uploadId = await getUploadId(account.id, fileId);
+  const fileInfo = await getTrackedUpload(uploadId);
   if (!fileInfo) return;
 
+  const config = await loadAccountConfig(account.id).catch(() => null);
+  const removalPolicy = validateRemovalPolicy(config?.removalPolicy);
+
+  // Files left on the server stay in the registry (upload history,
+  // cleanup), detached from the draft
+  const detached = { tabId: null, detachedAt: Date.now() };
   try {
+    // Deduplicated uploads share one file and link: keep them while others
+    // (including kept uploads) still use them
+    if (removalPolicy === REMOVAL_POLICIES.KEEP || isUploadShared(uploadId, fileInfo)) {
+      if (removalPolicy === REMOVAL_POLICIES.DELETE_FILE) {
+        await untrackUpload(uploadId);
+      } else {
+        await updateTrackedUpload(uploadId, detached);
+      }
+      return;
+    }
+
     const api = await getAuthenticatedAPI(account.id);
-    await api.deleteFile(fileInfo.repoId, fileInfo.filePath);
+    if (removalPolicy === REMOVAL_POLICIES.REVOKE_LINK && fileInfo.shareLinkToken) {
+      // If the link survives, its token stays so the upload history can
+      // still revoke it (see the detached entry below)
+      await revokeShareLink(api, fileInfo.shareLinkToken);
+    } else if (fileInfo.shareLinkToken) {
+      await api.deleteShareLink(fileInfo.shareLinkToken);
+    }
+    if (removalPolicy === REMOVAL_POLICIES.DELETE_FILE) {
+      await unlockRepo(api, fileInfo.repoId);
+      await api.deleteFile(fileInfo.repoId, fileInfo.filePath);
+    }
+    await forgetShareLink(api, { info: fileInfo });
+
+    if (removalPolicy === REMOVAL_POLICIES.DELETE_FILE) {
+      await untrackUpload(uploadId);
+    } else {
+      await updateTrackedUpload(uploadId, { ...detached, ...REVOKED_LINK_FIELDS });
+    }
   } catch (error) {
-    console.warn(`Seafile delete error [${error.code || "UNKNOWN"}]: ${error.message}`);
-  } finally {
-    uploadedFiles.delete(fileId);
+    logError("delete", error);
+    if (removalPolicy === REMOVAL_POLICIES.DELETE_FILE) {
+      await untrackUpload(uploadId);
+    } else {
+      await updateTrackedUpload(uploadId, detached);
+    }
   }
 });
 
@@ -456,16 +3266,31 @@ messenger.cloudFile.onAccountDeleted.addListener(async (accountId) => {
   const config = await loadAccountConfig(accountId);
   if (config && config.serverUrl) {
     try {
-      // Remove ALL secrets for this server from password manager
-      await messenger.loginManager.removeAllForHost(config.serverUrl);
+      // Other accounts may use the same server or even the same user:
+      // only remove what belongs to this account
+      const serverUrl = validateServerUrl(config.serverUrl);
+      await removeUserSecrets(serverUrl, config.username, accountId);
+      await removeAccountLinkPasswords(serverUrl, accountId);
+      if (config.repoId) {
+        await removeRepoPassword(serverUrl, config.repoId, accountId);
+      }
     } catch (e) {
       console.warn("Cleanup error during account deletion:", e.message);
     }
   }
   await messenger.storage.local.remove(`account_${accountId}`);
-  apiCache.delete(accountId);
+  await forgetAccountAPI(accountId);
+  accountInfoCache.delete(accountId);
+  await pruneUploadRegistry(accountId);
+  await forgetAccountUploadIndex(accountId);
+  await clearRetentionLog(accountId);
 });
 
+// Drop stale registry entries once per background page start
+pruneUploadRegistry().catch((e) =>
+  console.warn("Seafile FileLink: could not prune upload registry:", e.message)
+);
+
 // ─── Message handling from management UI ─────────────────────────────────────
 
 messenger.runtime.onMessage.addListener(async (message, sender) => {
@@ -478,9 +3303,33 @@ messenger.runtime.onMessage.addListener(async (message, sender) => {
   // ── Action whitelist ──
   const ALLOWED_ACTIONS = new Set([
     "testConnection",
+    "startSsoLogin",
+    "getTwoFactorPrompt",
+    "submitTwoFactor",
     "saveConfig",
     "loadConfig",
     "listRepos",
+    "listDirectory",
+    "createDirectory",
+    "checkDirectory",
+    "previewRetention",
+    "runRetention",
+    "getRetentionLog",
+    "clearRetentionLog",
+    "listUploads",
+    "getDiagnosticLog",
+    "clearDiagnosticLog",
+    "revokeUploadLink",
+    "recreateUploadLink",
+    "setUploadLinkExpiry",
+    "deleteUpload",
+    "getQuota",
+    "getComposeShareOptions",
+    "setComposeShareOptions",
+    "listComposeLinkPasswords",
+    "listUploadProgress",
+    "insertLinkPassword",
+    "createFileRequest",
   ]);
 
   if (!message || !ALLOWED_ACTIONS.has(message.type)) {
@@ -492,27 +3341,48 @@ messenger.runtime.onMessage.addListener(async (message, sender) => {
       try {
         const serverUrl = validateServerUrl(message.serverUrl);
         const api = new SeafileAPI(serverUrl);
-        await api.authenticate(
-          message.username,
-          message.password,
-          message.otpToken || null
-        );
-        const accountInfo = await api.getAccountInfo();
-        const repos = await api.listRepos();
+        if (validateAuthMethod(message.authMethod) === AUTH_METHODS.PASSWORD) {
+          await api.authenticate(
+            message.username,
+            message.password,
+            message.otpToken || null,
+            { trustDevice: !!message.trustDevice }
+          );
+        } else {
+          api.token = typeof message.apiToken === "string" ? message.apiToken.trim() : "";
+          if (!api.token || !(await api.ping())) {
+            throw new SeafileError("TOKEN_INVALID", messenger.i18n.getMessage("errorTokenRejected"));
+          }
+        }
+        return await describeConnection(api);
+      } catch (error) {
+        return { success: false, error: error.message, code: error.code };
+      }
+    }
 
-        return {
-          success: true,
-          email: accountInfo.email,
-          usage: accountInfo.usage,
-          total: accountInfo.total,
-          repos: repos
-            .filter((r) => !r.encrypted && r.permission === "rw")
-            .map((r) => ({
-              id: r.repo_id,
-              name: r.repo_name || r.name,
-            })),
-          token: api.token,
-        };
+    case "startSsoLogin": {
+      try {
+        const api = await loginViaSso(validateServerUrl(message.serverUrl));
+        return await describeConnection(api);
+      } catch (error) {
+        return { success: false, error: error.message, code: error.code };
+      }
+    }
+
+    case "getTwoFactorPrompt": {
+      const prompt = twoFactorPrompts.get(message.accountId);
+      if (!prompt) return { success: false };
+      return {
+        success: true,
+        serverUrl: prompt.serverUrl,
+        username: prompt.credentials.username,
+      };
+    }
+
+    case "submitTwoFactor": {
+      try {
+        await submitTwoFactorCode(message.accountId, message.otpToken, !!message.trustDevice);
+        return { success: true };
       } catch (error) {
         return { success: false, error: error.message, code: error.code };
       }
@@ -522,11 +3392,51 @@ messenger.runtime.onMessage.addListener(async (message, sender) => {
       try {
         const { accountId, config } = message;
         const serverUrl = validateServerUrl(config.serverUrl);
+        const authMethod = validateAuthMethod(config.authMethod);
+        if (authMethod !== AUTH_METHODS.PASSWORD && !config.apiToken) {
+          throw new SeafileError("NO_API_TOKEN", messenger.i18n.getMessage("errorNoApiToken"));
+        }
+        const sharePasswordMode = config.sharePasswordMode === SHARE_PASSWORD_MODES.RANDOM
+          ? SHARE_PASSWORD_MODES.RANDOM
+          : SHARE_PASSWORD_MODES.FIXED;
+        // A fixed password makes no sense next to generated ones
+        const shareLinkPassword = sharePasswordMode === SHARE_PASSWORD_MODES.FIXED
+          ? config.shareLinkPassword || ""
+          : "";
+
+        const previous = await loadAccountConfig(accountId);
+        const sameUser = previous?.serverUrl === serverUrl && previous?.username === config.username;
+
+        // Earlier links carry the old share password: stop reusing them
+        const previousSharePw = sameUser
+          ? await getSecret(serverUrl, REALMS.SHARE_PW, config.username)
+          : null;
+        if ((previousSharePw || "") !== shareLinkPassword) {
+          await forgetAccountUploadIndex(accountId);
+        }
 
         // ── Save secrets in password manager ──
-        await saveSecret(
-          serverUrl, REALMS.PASSWORD, config.username, config.password
-        );
+        if (authMethod === AUTH_METHODS.PASSWORD) {
+          await saveSecret(
+            serverUrl, REALMS.PASSWORD, config.username, config.password
+          );
+          if (config.s2faToken) {
+            await saveSecret(
+              serverUrl, REALMS.S2FA, config.username, config.s2faToken
+            );
+          }
+        } else {
+          // Token/SSO accounts never keep a password, unless another
+          // account of the same user still signs in with it
+          const configs = await loadAllAccountConfigs();
+          const passwordInUse = Object.entries(configs).some(([id, c]) =>
+            id !== accountId && c.serverUrl === serverUrl && c.username === config.username &&
+            validateAuthMethod(c.authMethod) === AUTH_METHODS.PASSWORD
+          );
+          if (!passwordInUse) {
+            await removeSecret(serverUrl, REALMS.PASSWORD, config.username);
+          }
+        }
 
         if (config.apiToken) {
           await saveSecret(
@@ -534,32 +3444,70 @@ messenger.runtime.onMessage.addListener(async (message, sender) => {
           );
         }
 
-        if (config.shareLinkPassword) {
+        const retentionPolicy = validateRetentionPolicy(config.retentionMode, config.retentionDays);
+        const repoEncrypted = !!config.repoEncrypted;
+        if (repoEncrypted && config.repoPassword) {
+          // Check the password while a token from the sign-in is at hand
+          if (config.apiToken) {
+            const api = new SeafileAPI(serverUrl);
+            api.token = config.apiToken;
+            await api.setRepoPassword(config.repoId, config.repoPassword);
+          }
+          await saveSecret(serverUrl, REALMS.REPO_PW, config.repoId, config.repoPassword);
+        } else if (repoEncrypted && !(await getSecret(serverUrl, REALMS.REPO_PW, config.repoId))) {
+          throw new SeafileError("REPO_PASSWORD_MISSING", messenger.i18n.getMessage("errorRepoPasswordMissing"));
+        }
+
+        if (shareLinkPassword) {
           await saveSecret(
-            serverUrl, REALMS.SHARE_PW, config.username, config.shareLinkPassword
+            serverUrl, REALMS.SHARE_PW, config.username, shareLinkPassword
           );
         } else {
           // Explicitly remove share PW if cleared
-          await removeSecret(serverUrl, REALMS.SHARE_PW);
+          await removeSecret(serverUrl, REALMS.SHARE_PW, config.username);
         }
 
         // ── Save ONLY non-sensitive config to storage ──
         const storageConfig = {
           serverUrl,
+          authMethod,
           username: config.username,
           repoId: config.repoId,
           repoName: config.repoName,
+          repoEncrypted,
           uploadDir: sanitizePath(config.uploadDir || "/Thunderbird-Attachments"),
+          uploadNaming: validateUploadNaming(config.uploadNaming),
+          removalPolicy: validateRemovalPolicy(config.removalPolicy),
           shareLinkExpireDays: validatePositiveInt(config.shareLinkExpireDays),
+          reuseUploads: !!config.reuseUploads,
+          notifyDownloads: !!config.notifyDownloads,
+          sharePasswordMode,
+          retentionMode: retentionPolicy.mode,
+          retentionDays: retentionPolicy.days,
           // Flags only (no actual secret values!)
-          hasShareLinkPassword: !!config.shareLinkPassword,
+          hasShareLinkPassword: !!shareLinkPassword,
+          configVersion: ACCOUNT_CONFIG_VERSION,
         };
 
         await messenger.storage.local.set({
           [`account_${accountId}`]: storageConfig,
         });
 
-        apiCache.delete(accountId);
+        // Server or user changed: drop the old user's secrets if now unused
+        if (previous?.serverUrl && !sameUser) {
+          await removeUserSecrets(previous.serverUrl, previous.username, accountId);
+        }
+        // Library changed: the old library password is no longer needed here
+        if (previous?.repoId && (previous.serverUrl !== serverUrl || previous.repoId !== config.repoId)) {
+          await removeRepoPassword(previous.serverUrl, previous.repoId, accountId);
+        }
+
+        await forgetAccountAPI(accountId);
+        accountInfoCache.delete(accountId);
+
+        if (storageConfig.notifyDownloads && !previous?.notifyDownloads && await hasPendingDownloads()) {
+          await scheduleDownloadPoll(DOWNLOAD_STATS.MIN_DELAY_MINUTES);
+        }
 
         // Tell Thunderbird this account is now configured
         await messenger.cloudFile.updateAccount(accountId, {
@@ -579,17 +3527,27 @@ messenger.runtime.onMessage.addListener(async (message, sender) => {
 
         const serverUrl = validateServerUrl(config.serverUrl);
 
+        const authMethod = validateAuthMethod(config.authMethod);
+
         // Retrieve secrets from password manager for the UI
-        const credentials = await messenger.loginManager.getCredentials(
-          serverUrl,
-          REALMS.PASSWORD
-        );
-        const sharePw = await getSecret(serverUrl, REALMS.SHARE_PW);
+        const credentials = authMethod === AUTH_METHODS.PASSWORD
+          ? await messenger.loginManager.getCredentials(serverUrl, REALMS.PASSWORD, config.username)
+          : null;
+        const apiToken = authMethod !== AUTH_METHODS.PASSWORD
+          ? await getSecret(serverUrl, REALMS.TOKEN, config.username)
+          : null;
+        const sharePw = await getSecret(serverUrl, REALMS.SHARE_PW, config.username);
+        const repoPw = config.repoEncrypted
+          ? await getSecret(serverUrl, REALMS.REPO_PW, config.repoId)
+          : null;
 
         return {
           ...config,
+          authMethod,
           password: credentials ? credentials.password : "",
+          apiToken: apiToken || "",
           shareLinkPassword: sharePw || "",
+          repoPassword: repoPw || "",
         };
       } catch (error) {
         console.warn("loadConfig error:", error.message);
@@ -606,10 +3564,11 @@ messenger.runtime.onMessage.addListener(async (message, sender) => {
         return {
           success: true,
           repos: repos
-            .filter((r) => !r.encrypted && r.permission === "rw")
+            .filter((r) => r.permission === "rw")
             .map((r) => ({
               id: r.repo_id,
               name: r.repo_name || r.name,
+              encrypted: !!r.encrypted,
             })),
         };
       } catch (error) {
@@ -617,6 +3576,182 @@ messenger.runtime.onMessage.addListener(async (message, sender) => {
       }
     }
 
+    case "listDirectory": {
+      try {
+        const api = await getBrowseAPI(message);
+        const listing = await api.listDirectory(message.repoId, message.path);
+        if (!listing) {
+          throw new SeafileError("DIR_NOT_FOUND", messenger.i18n.getMessage("errorDirNotFound"));
+        }
+        return { success: true, folders: listing.folders };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "createDirectory": {
+      try {
+        const name = sanitizeFolderName(message.name);
+        if (!name) {
+          throw new SeafileError("INVALID_FOLDER_NAME", messenger.i18n.getMessage("errorFolderName"));
+        }
+        const api = await getBrowseAPI(message);
+        const path = sanitizePath(`${message.parentPath}/${name}`);
+        // Missing parents are created too; an existing folder is kept as is
+        await api.ensureDirectory(message.repoId, path);
+        return { success: true, path };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "checkDirectory": {
+      try {
+        const api = await getBrowseAPI(message);
+        const listing = await api.listDirectory(message.repoId, message.path);
+        return { success: true, exists: !!listing, writable: !!listing?.writable };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "previewRetention":
+    case "runRetention": {
+      try {
+        const files = await runRetentionCleanup(message.accountId, {
+          dryRun: message.type === "previewRetention",
+          policy: validateRetentionPolicy(message.retentionMode, message.retentionDays),
+          interactive: true,
+        });
+        return { success: true, files };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "getRetentionLog": {
+      const log = await loadRetentionLog();
+      return { success: true, entries: log.filter((entry) => entry.accountId === message.accountId) };
+    }
+
+    case "clearRetentionLog": {
+      await clearRetentionLog(message.accountId);
+      return { success: true };
+    }
+
+    case "getDiagnosticLog": {
+      try {
+        return { success: true, entries: await loadDiagnostics() };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "clearDiagnosticLog": {
+      try {
+        await clearDiagnostics();
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "listUploads": {
+      try {
+        if (message.refreshStats) await updateDownloadStats();
+        return { success: true, uploads: await listUploadHistory() };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "revokeUploadLink":
+    case "recreateUploadLink":
+    case "setUploadLinkExpiry":
+    case "deleteUpload": {
+      try {
+        const uploadId = String(message.uploadId);
+        if (message.type === "revokeUploadLink") await revokeUploadLink(uploadId);
+        if (message.type === "recreateUploadLink") await recreateUploadLink(uploadId);
+        if (message.type === "setUploadLinkExpiry") await setUploadLinkExpiry(uploadId, message.expireDays);
+        if (message.type === "deleteUpload") await deleteUploadFromHistory(uploadId);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "getQuota": {
+      try {
+        const api = await getAuthenticatedAPI(message.accountId);
+        const info = await getCachedAccountInfo(api, message.accountId, true);
+        return { success: true, usage: info.usage, total: info.total };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "getComposeShareOptions": {
+      try {
+        return { success: true, options: await getComposeShareOptions(message.tabId) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "setComposeShareOptions": {
+      try {
+        const key = composeOptionsKey(message.tabId);
+        const options = validateComposeShareOptions(message.options);
+        if (options) {
+          await messenger.storage.session.set({ [key]: options });
+        } else {
+          await messenger.storage.session.remove(key);
+        }
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "listComposeLinkPasswords": {
+      try {
+        return { success: true, passwords: await listComposeLinkPasswords(message.tabId) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "listUploadProgress": {
+      return { success: true, uploads: listUploadProgress(message.tabId) };
+    }
+
+    case "insertLinkPassword": {
+      try {
+        const passwords = await listComposeLinkPasswords(message.tabId);
+        const entry = passwords.find((p) => p.uploadId === message.uploadId);
+        if (!entry) {
+          return { success: false, error: messenger.i18n.getMessage("errorLinkPasswordUnknown") };
+        }
+        await appendToComposeBody(
+          message.tabId,
+          messenger.i18n.getMessage("composeInsertPassword", [entry.name, entry.password])
+        );
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    case "createFileRequest": {
+      try {
+        const result = await createFileRequest(message.tabId, message.accountId, message.request || {});
+        return { success: true, ...result };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
     default:
       return null;
   }
@@ -0,0 +1,93 @@
+"use strict";
+
+// Helpers shared by the background script and the extension pages.
+
+// ─── Formatting ──────────────────────────────────────────────────────────────
+
+/**
+ * Format a byte count for display (SI units, like Seafile's web UI).
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// ─── Password Generation ─────────────────────────────────────────────────────
+
+/** Unambiguous characters only (no 0/O, 1/l/I), so passwords can be read aloud */
+const PASSWORD_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789";
+
+/**
+ * Generate a random password with crypto.getRandomValues. Bytes that would
+ * bias the modulo are rejected.
+ */
+function generatePassword(length = 16) {
+  const limit = 256 - (256 % PASSWORD_ALPHABET.length);
+  const chars = [];
+  while (chars.length < length) {
+    for (const byte of crypto.getRandomValues(new Uint8Array(length))) {
+      if (byte < limit && chars.length < length) {
+        chars.push(PASSWORD_ALPHABET[byte % PASSWORD_ALPHABET.length]);
+      }
+    }
+  }
+  return chars.join("");
+}
+
+// ─── Page Helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Translate elements marked with data-i18n (text) and
+ * data-i18n-placeholder (placeholder).
+ */
+function applyI18n() {
+  for (const el of document.querySelectorAll("[data-i18n]")) {
+    const msg = messenger.i18n.getMessage(el.dataset.i18n);
+    if (msg) el.textContent = msg;
+  }
+  for (const el of document.querySelectorAll("[data-i18n-placeholder]")) {
+    const msg = messenger.i18n.getMessage(el.dataset.i18nPlaceholder);
+    if (msg) el.placeholder = msg;
+  }
+}
+
+/**
+ * Show a status message. NEVER uses innerHTML — textContent only.
+ */
+function showStatus(element, text, type = "success") {
+  element.textContent = text;
+  element.className = `status ${type}`;
+  element.classList.remove("hidden");
+}
+
+function hideStatus(element) {
+  element.classList.add("hidden");
+  element.textContent = "";
+  element.className = "status hidden";
+}
+
+function setLoading(button, loading) {
+  button.disabled = loading;
+  if (loading) {
+    button.dataset.originalText = button.textContent;
+    button.textContent = "⏳ " + messenger.i18n.getMessage("statusLoading");
+  } else if (button.dataset.originalText) {
+    button.textContent = button.dataset.originalText;
+  }
+}
+
+async function copyText(text, statusElement) {
+  if (!text) return;
+  try {
+    await navigator.clipboard.writeText(text);
+    showStatus(statusElement, messenger.i18n.getMessage("statusCopied"), "success");
+  } catch (error) {
+    showStatus(statusElement, `❌ ${error.message}`, "error");
+  }
+}
\ No newline at end of file
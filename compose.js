@@ -0,0 +1,311 @@
+"use strict";
+
+// ─── DOM References ──────────────────────────────────────────────────────────
+
+const dom = Object.freeze({
+  expiryMode: document.getElementById("expiryMode"),
+  expireDaysGroup: document.getElementById("expireDaysGroup"),
+  expireDays: document.getElementById("expireDays"),
+  passwordMode: document.getElementById("passwordMode"),
+  passwordGroup: document.getElementById("passwordGroup"),
+  password: document.getElementById("password"),
+  btnGenerate: document.getElementById("btnGenerate"),
+  btnCopyPassword: document.getElementById("btnCopyPassword"),
+  btnApply: document.getElementById("btnApply"),
+  applyStatus: document.getElementById("applyStatus"),
+  fieldsetUploadProgress: document.getElementById("fieldsetUploadProgress"),
+  uploadProgressList: document.getElementById("uploadProgressList"),
+  fieldsetLinkPasswords: document.getElementById("fieldsetLinkPasswords"),
+  linkPasswordList: document.getElementById("linkPasswordList"),
+  requestAccountGroup: document.getElementById("requestAccountGroup"),
+  requestAccount: document.getElementById("requestAccount"),
+  requestFolder: document.getElementById("requestFolder"),
+  requestPassword: document.getElementById("requestPassword"),
+  btnRequestGenerate: document.getElementById("btnRequestGenerate"),
+  btnRequestCopyPassword: document.getElementById("btnRequestCopyPassword"),
+  requestExpireDays: document.getElementById("requestExpireDays"),
+  btnCreateRequest: document.getElementById("btnCreateRequest"),
+  requestStatus: document.getElementById("requestStatus"),
+});
+
+// ─── State ───────────────────────────────────────────────────────────────────
+
+let currentTabId = null;
+
+// ─── UI Helpers ──────────────────────────────────────────────────────────────
+
+function updateVisibility() {
+  dom.expireDaysGroup.classList.toggle("hidden", dom.expiryMode.value !== "custom");
+  dom.passwordGroup.classList.toggle("hidden", dom.passwordMode.value !== "custom");
+}
+
+// ─── Load / Apply Options ────────────────────────────────────────────────────
+
+async function loadOptions() {
+  const result = await messenger.runtime.sendMessage({
+    type: "getComposeShareOptions",
+    tabId: currentTabId,
+  });
+  const options = result?.options;
+  if (!options) return;
+
+  if (options.expireDays !== null) {
+    dom.expiryMode.value = "custom";
+    dom.expireDays.value = options.expireDays;
+  }
+  dom.passwordMode.value = options.passwordMode;
+  dom.password.value = options.password || "";
+}
+
+async function applyOptions() {
+  hideStatus(dom.applyStatus);
+
+  if (dom.passwordMode.value === "custom" && !dom.password.value) {
+    showStatus(dom.applyStatus, messenger.i18n.getMessage("errorNoSharePassword"), "error");
+    return;
+  }
+
+  // Both on account default: drop the per-message override entirely
+  const isDefault = dom.expiryMode.value === "account" && dom.passwordMode.value === "account";
+
+  try {
+    const result = await messenger.runtime.sendMessage({
+      type: "setComposeShareOptions",
+      tabId: currentTabId,
+      options: isDefault ? null : {
+        expireDays: dom.expiryMode.value === "custom"
+          ? parseInt(dom.expireDays.value, 10) || 0
+          : null,
+        passwordMode: dom.passwordMode.value,
+        password: dom.passwordMode.value === "custom" ? dom.password.value : undefined,
+      },
+    });
+
+    if (result && result.success) {
+      showStatus(dom.applyStatus, `✅ ${messenger.i18n.getMessage("statusComposeApplied")}`, "success");
+    } else {
+      showStatus(dom.applyStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorSaveFailed")}`, "error");
+    }
+  } catch (error) {
+    showStatus(dom.applyStatus, `❌ ${error.message}`, "error");
+  }
+}
+
+// ─── Generated Link Passwords ────────────────────────────────────────────────
+
+async function insertLinkPassword(uploadId) {
+  hideStatus(dom.applyStatus);
+  try {
+    const result = await messenger.runtime.sendMessage({
+      type: "insertLinkPassword",
+      tabId: currentTabId,
+      uploadId,
+    });
+    if (result && result.success) {
+      showStatus(dom.applyStatus, messenger.i18n.getMessage("statusInserted"), "success");
+    } else {
+      showStatus(dom.applyStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+    }
+  } catch (error) {
+    showStatus(dom.applyStatus, `❌ ${error.message}`, "error");
+  }
+}
+
+/**
+ * Render the generated passwords safely (createElement/textContent only).
+ */
+function renderLinkPasswords(passwords) {
+  while (dom.linkPasswordList.firstChild) {
+    dom.linkPasswordList.removeChild(dom.linkPasswordList.firstChild);
+  }
+  dom.fieldsetLinkPasswords.classList.toggle("hidden", passwords.length === 0);
+
+  for (const entry of passwords) {
+    const item = document.createElement("li");
+
+    const name = document.createElement("span");
+    name.className = "item-name";
+    name.textContent = entry.name;
+
+    const password = document.createElement("code");
+    password.textContent = entry.password;
+
+    const btnCopy = document.createElement("button");
+    btnCopy.type = "button";
+    btnCopy.className = "btn btn-secondary";
+    btnCopy.textContent = messenger.i18n.getMessage("btnCopy");
+    btnCopy.addEventListener("click", () => copyText(entry.password, dom.applyStatus));
+
+    const btnInsert = document.createElement("button");
+    btnInsert.type = "button";
+    btnInsert.className = "btn btn-secondary";
+    btnInsert.textContent = messenger.i18n.getMessage("btnInsert");
+    btnInsert.addEventListener("click", () => insertLinkPassword(entry.uploadId));
+
+    const buttons = document.createElement("div");
+    buttons.className = "button-row";
+    buttons.append(btnCopy, btnInsert);
+
+    item.append(name, password, buttons);
+    dom.linkPasswordList.appendChild(item);
+  }
+}
+
+async function loadLinkPasswords() {
+  const result = await messenger.runtime.sendMessage({
+    type: "listComposeLinkPasswords",
+    tabId: currentTabId,
+  });
+  renderLinkPasswords(result?.passwords || []);
+}
+
+// ─── Upload Progress ─────────────────────────────────────────────────────────
+
+/** How often the popup asks for upload progress while open */
+const PROGRESS_POLL_MS = 1000;
+
+function formatPercent(loaded, total) {
+  return `${total > 0 ? Math.floor((loaded / total) * 100) : 0}%`;
+}
+
+/**
+ * Render the running uploads safely (createElement/textContent only).
+ */
+function renderUploadProgress(uploads) {
+  while (dom.uploadProgressList.firstChild) {
+    dom.uploadProgressList.removeChild(dom.uploadProgressList.firstChild);
+  }
+  dom.fieldsetUploadProgress.classList.toggle("hidden", uploads.length === 0);
+
+  for (const upload of uploads) {
+    const item = document.createElement("li");
+
+    const name = document.createElement("span");
+    name.className = "item-name";
+    name.textContent = upload.name;
+
+    const bar = document.createElement("progress");
+    bar.max = upload.total || 1;
+    bar.value = upload.loaded;
+
+    const percent = document.createElement("small");
+    percent.className = "hint";
+    percent.textContent = formatPercent(upload.loaded, upload.total);
+
+    item.append(name, bar, percent);
+    dom.uploadProgressList.appendChild(item);
+  }
+}
+
+async function loadUploadProgress() {
+  const result = await messenger.runtime.sendMessage({
+    type: "listUploadProgress",
+    tabId: currentTabId,
+  });
+  renderUploadProgress(result?.uploads || []);
+}
+
+// ─── File Request (Upload Link) ──────────────────────────────────────────────
+
+/**
+ * Offer all configured Seafile accounts; the picker only shows if there
+ * is more than one.
+ */
+async function loadRequestAccounts() {
+  const accounts = (await messenger.cloudFile.getAllAccounts()).filter((a) => a.configured);
+  for (const account of accounts) {
+    const opt = document.createElement("option");
+    opt.value = account.id;
+    opt.textContent = account.name;   // textContent = safe
+    dom.requestAccount.appendChild(opt);
+  }
+  dom.requestAccountGroup.classList.toggle("hidden", accounts.length < 2);
+  dom.btnCreateRequest.disabled = accounts.length === 0;
+}
+
+async function createFileRequest() {
+  hideStatus(dom.requestStatus);
+
+  if (!dom.requestAccount.value) {
+    showStatus(dom.requestStatus, messenger.i18n.getMessage("errorNoConfig"), "error");
+    return;
+  }
+
+  setLoading(dom.btnCreateRequest, true);
+
+  try {
+    const result = await messenger.runtime.sendMessage({
+      type: "createFileRequest",
+      tabId: currentTabId,
+      accountId: dom.requestAccount.value,
+      request: {
+        folderName: dom.requestFolder.value.trim(),
+        password: dom.requestPassword.value,
+        expireDays: parseInt(dom.requestExpireDays.value, 10) || 0,
+      },
+    });
+
+    if (result && result.success) {
+      showStatus(dom.requestStatus, `✅ ${messenger.i18n.getMessage("statusRequestCreated")}`, "success");
+    } else {
+      showStatus(dom.requestStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+    }
+  } catch (error) {
+    showStatus(dom.requestStatus, `❌ ${error.message}`, "error");
+  } finally {
+    setLoading(dom.btnCreateRequest, false);
+  }
+}
+
+// ─── Initialize ──────────────────────────────────────────────────────────────
+
+async function init() {
+  applyI18n();
+
+  const [tab] = await messenger.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  currentTabId = tab.id;
+
+  try {
+    await loadOptions();
+    await loadUploadProgress();
+    await loadLinkPasswords();
+    await loadRequestAccounts();
+  } catch (error) {
+    console.warn("Could not load share options:", error.message);
+  }
+  updateVisibility();
+
+  // Event listeners (no inline handlers — CSP compliant)
+  dom.expiryMode.addEventListener("change", updateVisibility);
+  dom.passwordMode.addEventListener("change", updateVisibility);
+  dom.btnGenerate.addEventListener("click", () => {
+    dom.password.value = generatePassword();
+  });
+  dom.btnCopyPassword.addEventListener("click", () => copyText(dom.password.value, dom.applyStatus));
+  dom.btnApply.addEventListener("click", applyOptions);
+  dom.btnRequestGenerate.addEventListener("click", () => {
+    dom.requestPassword.value = generatePassword();
+  });
+  dom.btnRequestCopyPassword.addEventListener("click", () =>
+    copyText(dom.requestPassword.value, dom.requestStatus)
+  );
+  dom.btnCreateRequest.addEventListener("click", createFileRequest);
+
+  // Refresh progress while the popup is open; finished uploads may have
+  // generated link passwords
+  let uploading = !dom.fieldsetUploadProgress.classList.contains("hidden");
+  setInterval(async () => {
+    try {
+      await loadUploadProgress();
+      const stillUploading = !dom.fieldsetUploadProgress.classList.contains("hidden");
+      if (uploading && !stillUploading) await loadLinkPasswords();
+      uploading = stillUploading;
+    } catch (error) {
+      console.warn("Could not load upload progress:", error.message);
+    }
+  }, PROGRESS_POLL_MS);
+}
+
+// Start via DOMContentLoaded (no inline onload — CSP compliant)
+document.addEventListener("DOMContentLoaded", init);
\ No newline at end of file
@@ -12,6 +12,9 @@ const ALLOWED_REALMS = new Set([
   "Seafile FileLink",           // User password
   "Seafile FileLink Token",     // API bearer token
   "Seafile FileLink SharePW",   // Share link password
+  "Seafile FileLink LinkPW",    // Generated per-link passwords (keyed by link token)
+  "Seafile FileLink S2FA",      // "Remember this device" 2FA token
+  "Seafile FileLink RepoPW",    // Encrypted library passwords (keyed by repo ID)
 ]);
 
 /**
@@ -133,14 +136,15 @@ var loginManager = class extends ExtensionCommon.ExtensionAPI {
           return true;
         },
 
-        async getCredentials(hostname, realm) {
+        async getCredentials(hostname, realm, username) {
           const origin = validateHostname(hostname);
           const safeRealm = validateRealm(realm);
 
           const lm = Cc["@mozilla.org/login-manager;1"]
             .getService(Ci.nsILoginManager);
 
-          const logins = await findLoginsForRealm(lm, origin, safeRealm);
+          const logins = (await findLoginsForRealm(lm, origin, safeRealm))
+            .filter((login) => username == null || login.username === username);
           if (logins.length === 0) {
             return null;
           }
@@ -151,7 +155,7 @@ var loginManager = class extends ExtensionCommon.ExtensionAPI {
           };
         },
 
-        async removeCredentials(hostname, realm) {
+        async removeCredentials(hostname, realm, username) {
           const origin = validateHostname(hostname);
           const safeRealm = validateRealm(realm);
 
@@ -160,7 +164,9 @@ var loginManager = class extends ExtensionCommon.ExtensionAPI {
 
           const logins = await findLoginsForRealm(lm, origin, safeRealm);
           for (const login of logins) {
-            lm.removeLogin(login);
+            if (username == null || login.username === username) {
+              lm.removeLogin(login);
+            }
           }
           return true;
         },
@@ -0,0 +1,208 @@
+"use strict";
+
+// ─── DOM References ──────────────────────────────────────────────────────────
+
+const dom = Object.freeze({
+  historyList: document.getElementById("historyList"),
+  historyEmpty: document.getElementById("historyEmpty"),
+  btnRefresh: document.getElementById("btnRefresh"),
+  historyStatus: document.getElementById("historyStatus"),
+});
+
+// ─── UI Helpers ──────────────────────────────────────────────────────────────
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString(messenger.i18n.getUILanguage());
+}
+
+function createButton(messageName, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "btn btn-secondary";
+  button.textContent = messenger.i18n.getMessage(messageName);
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// ─── Actions ─────────────────────────────────────────────────────────────────
+
+/**
+ * Run an action on an upload and reload the list on success.
+ */
+async function runAction(button, message, successKey) {
+  hideStatus(dom.historyStatus);
+  button.disabled = true;
+
+  try {
+    const result = await messenger.runtime.sendMessage(message);
+    if (result && result.success) {
+      await loadHistory();
+      showStatus(dom.historyStatus, `✅ ${messenger.i18n.getMessage(successKey)}`, "success");
+    } else {
+      showStatus(dom.historyStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+    }
+  } catch (error) {
+    showStatus(dom.historyStatus, `❌ ${error.message}`, "error");
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Deleting can't be undone: the first click only arms the button.
+ */
+function confirmDelete(button, upload) {
+  if (!button.dataset.armed) {
+    button.dataset.armed = "true";
+    button.textContent = messenger.i18n.getMessage("btnConfirmDelete");
+    return;
+  }
+  runAction(button, { type: "deleteUpload", uploadId: upload.uploadId }, "statusUploadDeleted");
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function describeUpload(upload) {
+  const parts = [
+    upload.accountName,
+    formatDate(upload.uploadedAt),
+  ];
+  if (upload.size !== null) parts.push(formatBytes(upload.size));
+  if (upload.hasLink) {
+    parts.push(upload.expiresAt
+      ? messenger.i18n.getMessage("historyExpires", [formatDate(upload.expiresAt)])
+      : messenger.i18n.getMessage("historyNoExpiry"));
+    if (upload.passwordProtected) {
+      parts.push(messenger.i18n.getMessage("historyPasswordProtected"));
+    }
+    if (upload.downloadCount !== null) {
+      parts.push(upload.downloadCount > 0
+        ? messenger.i18n.getMessage("historyDownloads", [upload.downloadCount.toString()])
+        : messenger.i18n.getMessage("historyNotDownloaded"));
+    }
+  } else {
+    parts.push(messenger.i18n.getMessage("historyLinkRevoked"));
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Render the uploads safely (createElement/textContent only).
+ */
+function renderHistory(uploads) {
+  while (dom.historyList.firstChild) {
+    dom.historyList.removeChild(dom.historyList.firstChild);
+  }
+  dom.historyEmpty.classList.toggle("hidden", uploads.length > 0);
+
+  for (const upload of uploads) {
+    const item = document.createElement("li");
+
+    const name = document.createElement("span");
+    name.className = "item-name";
+    name.textContent = upload.name || upload.filePath;
+    item.appendChild(name);
+
+    if (upload.subject) {
+      const subject = document.createElement("small");
+      subject.className = "hint";
+      subject.textContent = messenger.i18n.getMessage("historySubject", [upload.subject]);
+      item.appendChild(subject);
+    }
+
+    const details = document.createElement("small");
+    details.className = "hint";
+    details.textContent = describeUpload(upload);
+    item.appendChild(details);
+
+    if (upload.url) {
+      const link = document.createElement("code");
+      link.className = "history-link";
+      link.textContent = upload.url;
+      item.appendChild(link);
+    }
+
+    const buttons = document.createElement("div");
+    buttons.className = "button-row";
+
+    if (upload.hasLink) {
+      const btnCopy = createButton("btnCopy", () => copyText(upload.url, dom.historyStatus));
+      btnCopy.disabled = !upload.url;
+      buttons.appendChild(btnCopy);
+      buttons.appendChild(createButton("btnRevokeLink", (event) =>
+        runAction(event.currentTarget, { type: "revokeUploadLink", uploadId: upload.uploadId }, "statusLinkRevoked")
+      ));
+    }
+    buttons.appendChild(createButton("btnRecreateLink", (event) =>
+      runAction(event.currentTarget, { type: "recreateUploadLink", uploadId: upload.uploadId }, "statusLinkRecreated")
+    ));
+    buttons.appendChild(createButton("btnDeleteFile", (event) => confirmDelete(event.currentTarget, upload)));
+    item.appendChild(buttons);
+
+    if (upload.hasLink) {
+      const expiryRow = document.createElement("div");
+      expiryRow.className = "button-row";
+
+      const expireDays = document.createElement("input");
+      expireDays.type = "number";
+      expireDays.min = "1";
+      expireDays.max = "365";
+      expireDays.value = "7";
+      expireDays.setAttribute("aria-label", messenger.i18n.getMessage("labelNewExpiry"));
+
+      const btnExpiry = createButton("btnSetExpiry", () =>
+        runAction(btnExpiry, {
+          type: "setUploadLinkExpiry",
+          uploadId: upload.uploadId,
+          expireDays: parseInt(expireDays.value, 10) || 0,
+        }, "statusExpiryUpdated")
+      );
+
+      expiryRow.append(expireDays, btnExpiry);
+      item.appendChild(expiryRow);
+    }
+
+    dom.historyList.appendChild(item);
+  }
+}
+
+/**
+ * @param {boolean} refreshStats - Fetch current download counts first
+ */
+async function loadHistory(refreshStats = false) {
+  const result = await messenger.runtime.sendMessage({ type: "listUploads", refreshStats });
+  if (!result || !result.success) {
+    showStatus(dom.historyStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+    return;
+  }
+  renderHistory(result.uploads);
+}
+
+// ─── Initialize ──────────────────────────────────────────────────────────────
+
+async function init() {
+  applyI18n();
+  document.title = messenger.i18n.getMessage("historyTitle");
+
+  try {
+    await loadHistory(true);
+  } catch (error) {
+    showStatus(dom.historyStatus, `❌ ${error.message}`, "error");
+  }
+
+  // Event listeners (no inline handlers — CSP compliant)
+  dom.btnRefresh.addEventListener("click", async () => {
+    hideStatus(dom.historyStatus);
+    setLoading(dom.btnRefresh, true);
+    try {
+      await loadHistory(true);
+    } catch (error) {
+      showStatus(dom.historyStatus, `❌ ${error.message}`, "error");
+    } finally {
+      setLoading(dom.btnRefresh, false);
+    }
+  });
+}
+
+// Start via DOMContentLoaded (no inline onload — CSP compliant)
+document.addEventListener("DOMContentLoaded", init);
\ No newline at end of file
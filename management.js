@@ -4,18 +4,62 @@
 
 const dom = Object.freeze({
   serverUrl: document.getElementById("serverUrl"),
+  authMethod: document.getElementById("authMethod"),
   username: document.getElementById("username"),
+  usernameHint: document.getElementById("usernameHint"),
+  passwordGroup: document.getElementById("passwordGroup"),
   password: document.getElementById("password"),
+  apiTokenGroup: document.getElementById("apiTokenGroup"),
+  apiToken: document.getElementById("apiToken"),
+  ssoGroup: document.getElementById("ssoGroup"),
+  btnSsoLogin: document.getElementById("btnSsoLogin"),
   otpGroup: document.getElementById("otpGroup"),
   otpToken: document.getElementById("otpToken"),
+  trustDevice: document.getElementById("trustDevice"),
   btnTest: document.getElementById("btnTestConnection"),
   connectionStatus: document.getElementById("connectionStatus"),
+  quotaGroup: document.getElementById("quotaGroup"),
+  quotaFill: document.getElementById("quotaFill"),
+  quotaText: document.getElementById("quotaText"),
   fieldsetLibrary: document.getElementById("fieldsetLibrary"),
   fieldsetShare: document.getElementById("fieldsetShare"),
   repoSelect: document.getElementById("repoSelect"),
+  repoPasswordGroup: document.getElementById("repoPasswordGroup"),
+  repoPassword: document.getElementById("repoPassword"),
   uploadDir: document.getElementById("uploadDir"),
+  btnBrowseDir: document.getElementById("btnBrowseDir"),
+  btnCreateUploadDir: document.getElementById("btnCreateUploadDir"),
+  btnOpenHistory: document.getElementById("btnOpenHistory"),
+  folderBrowser: document.getElementById("folderBrowser"),
+  folderTree: document.getElementById("folderTree"),
+  newFolderName: document.getElementById("newFolderName"),
+  btnNewFolder: document.getElementById("btnNewFolder"),
+  folderStatus: document.getElementById("folderStatus"),
+  uploadNaming: document.getElementById("uploadNaming"),
+  removalPolicy: document.getElementById("removalPolicy"),
+  sharePasswordMode: document.getElementById("sharePasswordMode"),
+  sharePasswordGroup: document.getElementById("sharePasswordGroup"),
   shareLinkPassword: document.getElementById("shareLinkPassword"),
   shareLinkExpireDays: document.getElementById("shareLinkExpireDays"),
+  reuseUploads: document.getElementById("reuseUploads"),
+  notifyDownloads: document.getElementById("notifyDownloads"),
+  fieldsetRetention: document.getElementById("fieldsetRetention"),
+  retentionMode: document.getElementById("retentionMode"),
+  retentionDaysGroup: document.getElementById("retentionDaysGroup"),
+  retentionDays: document.getElementById("retentionDays"),
+  btnRetentionPreview: document.getElementById("btnRetentionPreview"),
+  btnRetentionRun: document.getElementById("btnRetentionRun"),
+  retentionPreviewList: document.getElementById("retentionPreviewList"),
+  retentionStatus: document.getElementById("retentionStatus"),
+  retentionLogList: document.getElementById("retentionLogList"),
+  diagnosticLog: document.getElementById("diagnosticLog"),
+  diagnosticLogEmpty: document.getElementById("diagnosticLogEmpty"),
+  btnRefreshDiagnostics: document.getElementById("btnRefreshDiagnostics"),
+  btnCopyDiagnostics: document.getElementById("btnCopyDiagnostics"),
+  btnClearDiagnostics: document.getElementById("btnClearDiagnostics"),
+  diagnosticStatus: document.getElementById("diagnosticStatus"),
+  retentionLogEmpty: document.getElementById("retentionLogEmpty"),
+  btnClearRetentionLog: document.getElementById("btnClearRetentionLog"),
   btnSave: document.getElementById("btnSave"),
   saveStatus: document.getElementById("saveStatus"),
 });
@@ -23,48 +67,46 @@ const dom = Object.freeze({
 // ─── State ───────────────────────────────────────────────────────────────────
 
 let currentAccountId = null;
-let currentToken = null;   // Held in memory only during config session
+let currentToken = null;   // Held in memory only during config session (password/SSO sign-in)
+let currentS2faToken = null;   // "Remember this device" token from the last 2FA sign-in
 let isConfigured = false;
 
-// ─── i18n ────────────────────────────────────────────────────────────────────
-
-function applyI18n() {
-  for (const el of document.querySelectorAll("[data-i18n]")) {
-    const msg = messenger.i18n.getMessage(el.dataset.i18n);
-    if (msg) el.textContent = msg;
-  }
-  // Placeholders
-  for (const el of document.querySelectorAll("[data-i18n-placeholder]")) {
-    const msg = messenger.i18n.getMessage(el.dataset.i18nPlaceholder);
-    if (msg) el.placeholder = msg;
-  }
-}
+/** Folder browser nodes: path -> { item, toggle, name, children, folder } */
+const folderNodes = new Map();
+let selectedFolderPath = null;
 
 // ─── UI Helpers ──────────────────────────────────────────────────────────────
 
 /**
- * Show a status message. NEVER uses innerHTML — textContent only.
+ * Show the inputs of the selected sign-in method. Outside password mode the
+ * username comes from the server.
  */
-function showStatus(element, text, type = "success") {
-  element.textContent = text;
-  element.className = `status ${type}`;
-  element.classList.remove("hidden");
+function updateAuthMethodVisibility() {
+  const method = dom.authMethod.value;
+  dom.passwordGroup.classList.toggle("hidden", method !== "password");
+  dom.apiTokenGroup.classList.toggle("hidden", method !== "token");
+  dom.ssoGroup.classList.toggle("hidden", method !== "sso");
+  dom.btnTest.classList.toggle("hidden", method === "sso");
+  dom.username.readOnly = method !== "password";
+  dom.usernameHint.classList.toggle("hidden", method === "password");
+  if (method !== "password") {
+    dom.otpGroup.classList.add("hidden");
+  }
 }
 
-function hideStatus(element) {
-  element.classList.add("hidden");
-  element.textContent = "";
-  element.className = "status hidden";
+/**
+ * The fixed link password only applies in "fixed" mode.
+ */
+function updateSharePasswordVisibility() {
+  dom.sharePasswordGroup.classList.toggle("hidden", dom.sharePasswordMode.value === "random");
 }
 
-function setLoading(button, loading) {
-  button.disabled = loading;
-  if (loading) {
-    button.dataset.originalText = button.textContent;
-    button.textContent = "⏳ " + messenger.i18n.getMessage("statusLoading");
-  } else if (button.dataset.originalText) {
-    button.textContent = button.dataset.originalText;
-  }
+/**
+ * The library password only applies to encrypted libraries.
+ */
+function updateRepoPasswordVisibility() {
+  const selected = dom.repoSelect.selectedOptions[0];
+  dom.repoPasswordGroup.classList.toggle("hidden", selected?.dataset.encrypted !== "true");
 }
 
 /**
@@ -87,12 +129,44 @@ function populateRepos(repos, selectedId = null) {
   for (const repo of repos) {
     const opt = document.createElement("option");
     opt.value = repo.id;
-    opt.textContent = repo.name;   // textContent = safe
+    opt.dataset.name = repo.name;
+    opt.dataset.encrypted = String(!!repo.encrypted);
+    // textContent = safe
+    opt.textContent = repo.encrypted
+      ? messenger.i18n.getMessage("optionRepoEncrypted", [repo.name])
+      : repo.name;
     if (repo.id === selectedId) {
       opt.selected = true;
     }
     dom.repoSelect.appendChild(opt);
   }
+  updateRepoPasswordVisibility();
+}
+
+/**
+ * Show storage usage. Seafile reports a non-positive total for unlimited quota.
+ */
+function showQuota(usage, total) {
+  if (typeof usage !== "number") {
+    dom.quotaGroup.classList.add("hidden");
+    return;
+  }
+
+  if (typeof total !== "number" || total <= 0) {
+    dom.quotaFill.style.width = "0";
+    dom.quotaFill.className = "quota-fill";
+    dom.quotaText.textContent = messenger.i18n.getMessage(
+      "statusQuotaUnlimited", [formatBytes(usage)]
+    );
+  } else {
+    const percent = Math.min(100, Math.round((usage / total) * 100));
+    dom.quotaFill.style.width = `${percent}%`;
+    dom.quotaFill.className = `quota-fill${percent >= 100 ? " full" : percent >= 90 ? " warning" : ""}`;
+    dom.quotaText.textContent = messenger.i18n.getMessage(
+      "statusQuotaUsage", [formatBytes(usage), formatBytes(total), percent.toString()]
+    );
+  }
+  dom.quotaGroup.classList.remove("hidden");
 }
 
 // ─── Input Validation ────────────────────────────────────────────────────────
@@ -106,7 +180,11 @@ function validateUrl(url) {
   }
 }
 
-function validateInputs() {
+/**
+ * @param {boolean} forSave - Token/SSO accounts also need the username the
+ *   server reported, i.e. a successful sign-in
+ */
+function validateInputs(forSave = false) {
   const url = dom.serverUrl.value.trim();
   const user = dom.username.value.trim();
   const pass = dom.password.value;
@@ -114,15 +192,459 @@ function validateInputs() {
   if (!url || !validateUrl(url)) {
     return { valid: false, error: messenger.i18n.getMessage("errorInvalidUrl") };
   }
-  if (!user) {
-    return { valid: false, error: messenger.i18n.getMessage("errorNoUsername") };
+
+  switch (dom.authMethod.value) {
+    case "token":
+      if (!dom.apiToken.value.trim()) {
+        return { valid: false, error: messenger.i18n.getMessage("errorNoApiToken") };
+      }
+      break;
+    case "sso":
+      if (forSave && !currentToken) {
+        return { valid: false, error: messenger.i18n.getMessage("errorSsoRequired") };
+      }
+      break;
+    default:
+      if (!user) {
+        return { valid: false, error: messenger.i18n.getMessage("errorNoUsername") };
+      }
+      if (!pass) {
+        return { valid: false, error: messenger.i18n.getMessage("errorNoPassword") };
+      }
+      return { valid: true };
   }
-  if (!pass) {
-    return { valid: false, error: messenger.i18n.getMessage("errorNoPassword") };
+
+  if (forSave && !user) {
+    return { valid: false, error: messenger.i18n.getMessage("errorTestFirst") };
   }
   return { valid: true };
 }
 
+// ─── Folder Browser ──────────────────────────────────────────────────────────
+
+/**
+ * The API token of the current sign-in (a pasted token or the one from
+ * testing the connection), if any.
+ */
+function currentApiToken() {
+  return (dom.authMethod.value === "token" ? dom.apiToken.value.trim() : currentToken) || null;
+}
+
+/**
+ * Connection parameters for folder requests. Without a token from this
+ * session the background uses the saved account.
+ */
+function folderRequest(type, params) {
+  const selected = dom.repoSelect.selectedOptions[0];
+  return messenger.runtime.sendMessage({
+    type,
+    serverUrl: dom.serverUrl.value.trim(),
+    token: currentApiToken(),
+    accountId: currentAccountId,
+    repoId: dom.repoSelect.value,
+    repoPassword: selected?.dataset.encrypted === "true" ? dom.repoPassword.value : "",
+    ...params,
+  });
+}
+
+/**
+ * Create a tree node safely (createElement/textContent only).
+ */
+function createFolderNode(folder) {
+  const item = document.createElement("li");
+
+  const row = document.createElement("div");
+  row.className = "folder-row";
+
+  const toggle = document.createElement("button");
+  toggle.type = "button";
+  toggle.className = "folder-toggle";
+  toggle.textContent = "▸";
+  toggle.setAttribute("aria-expanded", "false");
+
+  const name = document.createElement("button");
+  name.type = "button";
+  name.className = folder.writable ? "folder-name" : "folder-name readonly";
+  name.textContent = folder.name;
+  if (!folder.writable) {
+    name.title = messenger.i18n.getMessage("hintFolderReadOnly");
+  }
+
+  const children = document.createElement("ul");
+  children.className = "folder-tree hidden";
+
+  row.append(toggle, name);
+  item.append(row, children);
+
+  const node = { item, toggle, name, children, folder };
+  folderNodes.set(folder.path, node);
+  toggle.addEventListener("click", () => toggleFolder(node));
+  name.addEventListener("click", () => selectFolder(node));
+  return node;
+}
+
+/**
+ * Load the subfolders of a node (again, if reload is set) and show them.
+ */
+async function expandFolder(node, reload = false) {
+  if (reload || !node.loaded) {
+    node.toggle.disabled = true;
+    try {
+      const result = await folderRequest("listDirectory", { path: node.folder.path });
+      if (!result || !result.success) {
+        showStatus(dom.folderStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+        return;
+      }
+      while (node.children.firstChild) {
+        node.children.removeChild(node.children.firstChild);
+      }
+      for (const folder of result.folders) {
+        node.children.appendChild(createFolderNode(folder).item);
+      }
+      node.loaded = true;
+    } catch (error) {
+      showStatus(dom.folderStatus, `❌ ${error.message}`, "error");
+      return;
+    } finally {
+      node.toggle.disabled = false;
+    }
+  }
+
+  node.children.classList.remove("hidden");
+  node.toggle.textContent = node.children.firstChild ? "▾" : "";
+  node.toggle.setAttribute("aria-expanded", "true");
+}
+
+function collapseFolder(node) {
+  node.children.classList.add("hidden");
+  node.toggle.textContent = "▸";
+  node.toggle.setAttribute("aria-expanded", "false");
+}
+
+function toggleFolder(node) {
+  if (node.toggle.getAttribute("aria-expanded") === "true") {
+    collapseFolder(node);
+  } else {
+    expandFolder(node);
+  }
+}
+
+function selectFolder(node) {
+  folderNodes.get(selectedFolderPath)?.name.classList.remove("selected");
+  node.name.classList.add("selected");
+  selectedFolderPath = node.folder.path;
+  dom.uploadDir.value = node.folder.path;
+
+  if (node.folder.writable) {
+    hideStatus(dom.folderStatus);
+  } else {
+    showStatus(dom.folderStatus, messenger.i18n.getMessage("errorUploadDirReadOnly"), "warning");
+  }
+}
+
+/**
+ * Remove the tree, e.g. when another library is selected.
+ */
+function resetFolderBrowser() {
+  folderNodes.clear();
+  selectedFolderPath = null;
+  while (dom.folderTree.firstChild) {
+    dom.folderTree.removeChild(dom.folderTree.firstChild);
+  }
+  dom.folderBrowser.classList.add("hidden");
+  hideStatus(dom.folderStatus);
+}
+
+async function toggleFolderBrowser() {
+  if (!dom.folderBrowser.classList.contains("hidden")) {
+    dom.folderBrowser.classList.add("hidden");
+    return;
+  }
+  if (!dom.repoSelect.value) {
+    showStatus(dom.folderStatus, messenger.i18n.getMessage("errorNoRepo"), "error");
+    return;
+  }
+
+  hideStatus(dom.folderStatus);
+  dom.folderBrowser.classList.remove("hidden");
+  if (!folderNodes.has("/")) {
+    const selected = dom.repoSelect.selectedOptions[0];
+    const root = createFolderNode({ name: selected.dataset.name || "/", path: "/", writable: true });
+    dom.folderTree.appendChild(root.item);
+    await expandFolder(root);
+  }
+}
+
+/**
+ * Create a folder on the server and select it.
+ * @returns {Promise<boolean>} Whether the folder was created
+ */
+async function createFolder(parentPath, name, button) {
+  hideStatus(dom.folderStatus);
+  if (!name) {
+    showStatus(dom.folderStatus, messenger.i18n.getMessage("errorFolderName"), "error");
+    return false;
+  }
+
+  setLoading(button, true);
+  try {
+    const result = await folderRequest("createDirectory", { parentPath, name });
+    if (!result || !result.success) {
+      showStatus(dom.folderStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+      return false;
+    }
+
+    dom.uploadDir.value = result.path;
+    showStatus(dom.folderStatus, `✅ ${messenger.i18n.getMessage("statusFolderCreated", [result.path])}`, "success");
+
+    // Show the new folder in the tree, if its parent is on display
+    const parent = folderNodes.get(parentPath);
+    if (parent) {
+      await expandFolder(parent, true);
+      const created = folderNodes.get(result.path);
+      if (created) selectFolder(created);
+    }
+    return true;
+  } catch (error) {
+    showStatus(dom.folderStatus, `❌ ${error.message}`, "error");
+    return false;
+  } finally {
+    setLoading(button, false);
+  }
+}
+
+async function createSubfolder() {
+  if (await createFolder(selectedFolderPath || "/", dom.newFolderName.value.trim(), dom.btnNewFolder)) {
+    dom.newFolderName.value = "";
+  }
+}
+
+/**
+ * The part of an upload folder setting before the first placeholder, i.e.
+ * the folders that exist regardless of the message.
+ */
+function staticPathPrefix(path) {
+  const brace = path.indexOf("{");
+  if (brace === -1) return path;
+  return path.slice(0, path.lastIndexOf("/", brace)) || "/";
+}
+
+/**
+ * Create the typed upload folder (including missing parent folders). With
+ * placeholders only the fixed part is created; the rest follows per upload.
+ */
+function createUploadDir() {
+  const path = staticPathPrefix(dom.uploadDir.value.trim()).replace(/\/+$/, "");
+  const slash = path.lastIndexOf("/");
+  createFolder(path.slice(0, slash) || "/", path.slice(slash + 1), dom.btnCreateUploadDir);
+}
+
+/**
+ * Check that the upload folder (its fixed part) exists and is writable.
+ * @returns {Promise<string|null>} Error message, or null if the folder is fine
+ */
+async function checkUploadDir() {
+  const result = await folderRequest("checkDirectory", {
+    path: staticPathPrefix(dom.uploadDir.value.trim() || "/Thunderbird-Attachments"),
+  });
+  if (!result || !result.success) {
+    return result?.error || messenger.i18n.getMessage("errorNoResponse");
+  }
+  if (!result.exists) return messenger.i18n.getMessage("errorUploadDirMissing");
+  if (!result.writable) return messenger.i18n.getMessage("errorUploadDirReadOnly");
+  return null;
+}
+
+// ─── Retention Cleanup ───────────────────────────────────────────────────────
+
+function updateRetentionVisibility() {
+  dom.retentionDaysGroup.classList.toggle("hidden", dom.retentionMode.value !== "age");
+}
+
+/**
+ * Files are only removed after they have been previewed with the same
+ * policy; changing it requires a new preview.
+ */
+function resetRetentionPreview() {
+  dom.btnRetentionRun.disabled = true;
+  dom.retentionPreviewList.classList.add("hidden");
+  hideStatus(dom.retentionStatus);
+}
+
+/**
+ * Render files safely (createElement/textContent only).
+ * @param {string} dateField - "uploadedAt" or "removedAt"
+ */
+function renderRetentionFiles(list, files, dateField) {
+  while (list.firstChild) {
+    list.removeChild(list.firstChild);
+  }
+  const locale = messenger.i18n.getUILanguage();
+  for (const file of files) {
+    const item = document.createElement("li");
+
+    const name = document.createElement("span");
+    name.className = "item-name";
+    name.textContent = file.name || file.filePath;
+
+    const details = document.createElement("small");
+    details.className = "hint";
+    details.textContent = messenger.i18n.getMessage(
+      dateField === "removedAt" ? "retentionRemovedDetails" : "retentionPreviewDetails",
+      [
+        file.filePath,
+        new Date(file[dateField]).toLocaleDateString(locale),
+        messenger.i18n.getMessage(file.reason === "age" ? "retentionReasonAge" : "retentionReasonExpired"),
+      ]
+    );
+
+    item.append(name, details);
+    list.appendChild(item);
+  }
+}
+
+function retentionRequest(type) {
+  return messenger.runtime.sendMessage({
+    type,
+    accountId: currentAccountId,
+    retentionMode: dom.retentionMode.value,
+    retentionDays: parseInt(dom.retentionDays.value, 10) || 0,
+  });
+}
+
+async function previewRetention() {
+  resetRetentionPreview();
+  setLoading(dom.btnRetentionPreview, true);
+
+  try {
+    const result = await retentionRequest("previewRetention");
+    if (!result || !result.success) {
+      showStatus(dom.retentionStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+      return;
+    }
+
+    renderRetentionFiles(dom.retentionPreviewList, result.files, "uploadedAt");
+    dom.retentionPreviewList.classList.toggle("hidden", result.files.length === 0);
+    showStatus(
+      dom.retentionStatus,
+      messenger.i18n.getMessage("statusRetentionPreview", [result.files.length.toString()]),
+      result.files.length > 0 ? "warning" : "success"
+    );
+    dom.btnRetentionRun.disabled = result.files.length === 0;
+  } catch (error) {
+    showStatus(dom.retentionStatus, `❌ ${error.message}`, "error");
+  } finally {
+    setLoading(dom.btnRetentionPreview, false);
+  }
+}
+
+async function runRetention() {
+  setLoading(dom.btnRetentionRun, true);
+
+  try {
+    const result = await retentionRequest("runRetention");
+    if (!result || !result.success) {
+      showStatus(dom.retentionStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+      return;
+    }
+    showStatus(
+      dom.retentionStatus,
+      `✅ ${messenger.i18n.getMessage("statusRetentionRemoved", [result.files.length.toString()])}`,
+      "success"
+    );
+    dom.retentionPreviewList.classList.add("hidden");
+    await loadRetentionLog();
+  } catch (error) {
+    showStatus(dom.retentionStatus, `❌ ${error.message}`, "error");
+  } finally {
+    setLoading(dom.btnRetentionRun, false);
+    dom.btnRetentionRun.disabled = true;
+  }
+}
+
+async function loadRetentionLog() {
+  try {
+    const result = await messenger.runtime.sendMessage({
+      type: "getRetentionLog",
+      accountId: currentAccountId,
+    });
+    const entries = result?.entries || [];
+    renderRetentionFiles(dom.retentionLogList, entries, "removedAt");
+    dom.retentionLogEmpty.classList.toggle("hidden", entries.length > 0);
+    dom.btnClearRetentionLog.classList.toggle("hidden", entries.length === 0);
+  } catch (error) {
+    console.warn("Could not load removal log:", error.message);
+  }
+}
+
+async function clearRetentionLog() {
+  try {
+    await messenger.runtime.sendMessage({
+      type: "clearRetentionLog",
+      accountId: currentAccountId,
+    });
+    await loadRetentionLog();
+  } catch (error) {
+    showStatus(dom.retentionStatus, `❌ ${error.message}`, "error");
+  }
+}
+
+// ─── Diagnostic Log ──────────────────────────────────────────────────────────
+
+/** Entries currently shown, oldest first */
+let diagnosticEntries = [];
+
+function formatDiagnosticEntry(entry) {
+  const time = new Date(entry.time).toISOString();
+  if (entry.context) {
+    return `${time} ERROR ${entry.context} ${entry.code}`;
+  }
+  const code = entry.code ? ` ${entry.code}` : "";
+  return `${time} ${entry.method} ${entry.endpoint} ${entry.status} ${entry.durationMs}ms${code}`;
+}
+
+async function loadDiagnostics() {
+  try {
+    const result = await messenger.runtime.sendMessage({ type: "getDiagnosticLog" });
+    diagnosticEntries = result?.entries || [];
+    // textContent only: endpoints include server-issued upload URLs
+    dom.diagnosticLog.textContent = diagnosticEntries.map(formatDiagnosticEntry).join("\n");
+    dom.diagnosticLog.classList.toggle("hidden", diagnosticEntries.length === 0);
+    dom.diagnosticLogEmpty.classList.toggle("hidden", diagnosticEntries.length > 0);
+    dom.diagnosticLog.scrollTop = dom.diagnosticLog.scrollHeight;
+  } catch (error) {
+    console.warn("Could not load diagnostic log:", error.message);
+  }
+}
+
+async function copyDiagnostics() {
+  hideStatus(dom.diagnosticStatus);
+  await loadDiagnostics();
+  try {
+    const browser = await messenger.runtime.getBrowserInfo();
+    const report = [
+      `${messenger.i18n.getMessage("extensionName")} ${messenger.runtime.getManifest().version}`,
+      `${browser.name} ${browser.version}`,
+      "",
+      ...diagnosticEntries.map(formatDiagnosticEntry),
+    ].join("\n");
+    await navigator.clipboard.writeText(report);
+    showStatus(dom.diagnosticStatus, messenger.i18n.getMessage("statusCopied"), "success");
+  } catch (error) {
+    showStatus(dom.diagnosticStatus, `❌ ${error.message}`, "error");
+  }
+}
+
+async function clearDiagnostics() {
+  hideStatus(dom.diagnosticStatus);
+  try {
+    await messenger.runtime.sendMessage({ type: "clearDiagnosticLog" });
+    await loadDiagnostics();
+  } catch (error) {
+    showStatus(dom.diagnosticStatus, `❌ ${error.message}`, "error");
+  }
+}
+
 // ─── Account ID from cloudFile ───────────────────────────────────────────────
 
 async function getAccountId() {
@@ -157,51 +679,95 @@ async function testConnection() {
     const result = await messenger.runtime.sendMessage({
       type: "testConnection",
       serverUrl: dom.serverUrl.value.trim(),
+      authMethod: dom.authMethod.value,
       username: dom.username.value.trim(),
       password: dom.password.value,
+      apiToken: dom.apiToken.value.trim(),
       otpToken: dom.otpToken.value.trim() || null,
+      trustDevice: dom.trustDevice.checked,
     });
+    handleConnectionResult(result);
+  } catch (error) {
+    showStatus(dom.connectionStatus, `❌ ${error.message}`, "error");
+  } finally {
+    setLoading(dom.btnTest, false);
+  }
+}
 
-    if (!result) {
-      showStatus(dom.connectionStatus, messenger.i18n.getMessage("errorNoResponse"), "error");
-      return;
+/**
+ * Sign in through the browser (SSO). Waits until the sign-in is completed
+ * in the browser or times out.
+ */
+async function ssoLogin() {
+  hideStatus(dom.connectionStatus);
+
+  const validation = validateInputs();
+  if (!validation.valid) {
+    showStatus(dom.connectionStatus, validation.error, "error");
+    return;
+  }
+
+  setLoading(dom.btnSsoLogin, true);
+  showStatus(dom.connectionStatus, messenger.i18n.getMessage("statusSsoWaiting"), "warning");
+
+  try {
+    const result = await messenger.runtime.sendMessage({
+      type: "startSsoLogin",
+      serverUrl: dom.serverUrl.value.trim(),
+    });
+    handleConnectionResult(result);
+  } catch (error) {
+    showStatus(dom.connectionStatus, `❌ ${error.message}`, "error");
+  } finally {
+    setLoading(dom.btnSsoLogin, false);
+  }
+}
+
+/**
+ * Apply a testConnection / startSsoLogin result to the form.
+ */
+function handleConnectionResult(result) {
+  if (!result) {
+    showStatus(dom.connectionStatus, messenger.i18n.getMessage("errorNoResponse"), "error");
+    return;
+  }
+
+  if (result.success) {
+    currentToken = result.token;
+    currentS2faToken = result.s2faToken || null;
+    if (dom.authMethod.value !== "password") {
+      dom.username.value = result.username || "";
     }
+    showStatus(
+      dom.connectionStatus,
+      `✅ ${messenger.i18n.getMessage("statusConnected")}: ${result.email}`,
+      "success"
+    );
 
-    if (result.success) {
-      currentToken = result.token;
+    // Enable library & share fieldsets
+    dom.fieldsetLibrary.disabled = false;
+    dom.fieldsetShare.disabled = false;
+    dom.fieldsetRetention.disabled = false;
+    dom.btnSave.disabled = false;
+
+    // Populate repos
+    populateRepos(result.repos, dom.repoSelect.value || null);
+    showQuota(result.usage, result.total);
+
+    // Hide 2FA if it was shown
+    dom.otpGroup.classList.add("hidden");
+  } else {
+    if (result.code === "2FA_REQUIRED") {
+      dom.otpGroup.classList.remove("hidden");
+      dom.otpToken.focus();
       showStatus(
         dom.connectionStatus,
-        `✅ ${messenger.i18n.getMessage("statusConnected")}: ${result.email}`,
-        "success"
+        messenger.i18n.getMessage("status2faRequired"),
+        "warning"
       );
-
-      // Enable library & share fieldsets
-      dom.fieldsetLibrary.disabled = false;
-      dom.fieldsetShare.disabled = false;
-      dom.btnSave.disabled = false;
-
-      // Populate repos
-      populateRepos(result.repos, dom.repoSelect.value || null);
-
-      // Hide 2FA if it was shown
-      dom.otpGroup.classList.add("hidden");
     } else {
-      if (result.code === "2FA_REQUIRED") {
-        dom.otpGroup.classList.remove("hidden");
-        dom.otpToken.focus();
-        showStatus(
-          dom.connectionStatus,
-          messenger.i18n.getMessage("status2faRequired"),
-          "warning"
-        );
-      } else {
-        showStatus(dom.connectionStatus, `❌ ${result.error}`, "error");
-      }
+      showStatus(dom.connectionStatus, `❌ ${result.error}`, "error");
     }
-  } catch (error) {
-    showStatus(dom.connectionStatus, `❌ ${error.message}`, "error");
-  } finally {
-    setLoading(dom.btnTest, false);
   }
 }
 
@@ -215,7 +781,7 @@ async function saveConfig() {
     return;
   }
 
-  const validation = validateInputs();
+  const validation = validateInputs(true);
   if (!validation.valid) {
     showStatus(dom.saveStatus, validation.error, "error");
     return;
@@ -230,23 +796,46 @@ async function saveConfig() {
     );
     return;
   }
+  const repoEncrypted = selectedRepo.dataset.encrypted === "true";
+  if (repoEncrypted && !dom.repoPassword.value) {
+    showStatus(dom.saveStatus, messenger.i18n.getMessage("errorRepoPasswordMissing"), "error");
+    return;
+  }
 
   setLoading(dom.btnSave, true);
 
   try {
+    // Typos must not silently create new folders on upload
+    const dirError = await checkUploadDir();
+    if (dirError) {
+      showStatus(dom.saveStatus, `❌ ${dirError}`, "error");
+      return;
+    }
+
     const result = await messenger.runtime.sendMessage({
       type: "saveConfig",
       accountId: currentAccountId,
       config: {
         serverUrl: dom.serverUrl.value.trim(),
+        authMethod: dom.authMethod.value,
         username: dom.username.value.trim(),
-        password: dom.password.value,
-        apiToken: currentToken || null,
+        password: dom.authMethod.value === "password" ? dom.password.value : "",
+        apiToken: currentApiToken(),
+        s2faToken: currentS2faToken,
         repoId: selectedRepo.value,
-        repoName: selectedRepo.textContent,
+        repoName: selectedRepo.dataset.name || selectedRepo.textContent,
+        repoEncrypted,
+        repoPassword: repoEncrypted ? dom.repoPassword.value : "",
         uploadDir: dom.uploadDir.value.trim() || "/Thunderbird-Attachments",
+        uploadNaming: dom.uploadNaming.value,
+        removalPolicy: dom.removalPolicy.value,
+        sharePasswordMode: dom.sharePasswordMode.value,
         shareLinkPassword: dom.shareLinkPassword.value || "",
         shareLinkExpireDays: parseInt(dom.shareLinkExpireDays.value, 10) || 0,
+        reuseUploads: dom.reuseUploads.checked,
+        notifyDownloads: dom.notifyDownloads.checked,
+        retentionMode: dom.retentionMode.value,
+        retentionDays: parseInt(dom.retentionDays.value, 10) || 0,
       },
     });
 
@@ -282,32 +871,77 @@ async function loadExistingConfig() {
 
     // Populate form fields
     dom.serverUrl.value = config.serverUrl || "";
+    dom.authMethod.value = config.authMethod || "password";
     dom.username.value = config.username || "";
     dom.password.value = config.password || "";
+    dom.apiToken.value = config.authMethod === "token" ? config.apiToken || "" : "";
+    if (config.authMethod === "sso") {
+      currentToken = config.apiToken || null;
+    }
+    updateAuthMethodVisibility();
     dom.uploadDir.value = config.uploadDir || "/Thunderbird-Attachments";
+    dom.uploadNaming.value = config.uploadNaming || "autoRename";
+    dom.removalPolicy.value = config.removalPolicy || "deleteFile";
+    dom.sharePasswordMode.value = config.sharePasswordMode || "fixed";
     dom.shareLinkPassword.value = config.shareLinkPassword || "";
+    updateSharePasswordVisibility();
     dom.shareLinkExpireDays.value = config.shareLinkExpireDays || 0;
+    dom.reuseUploads.checked = !!config.reuseUploads;
+    dom.notifyDownloads.checked = !!config.notifyDownloads;
+    dom.retentionMode.value = config.retentionMode || "off";
+    dom.retentionDays.value = config.retentionDays || 30;
+    updateRetentionVisibility();
 
     // If we have a repo configured, try to reconnect and reload repos
     if (config.repoId) {
       isConfigured = true;
       dom.fieldsetLibrary.disabled = false;
       dom.fieldsetShare.disabled = false;
+      dom.fieldsetRetention.disabled = false;
       dom.btnSave.disabled = false;
 
       // Add the saved repo as a pre-selected option
-      populateRepos([{ id: config.repoId, name: config.repoName || config.repoId }], config.repoId);
+      populateRepos(
+        [{ id: config.repoId, name: config.repoName || config.repoId, encrypted: config.repoEncrypted }],
+        config.repoId
+      );
+      dom.repoPassword.value = config.repoPassword || "";
+
+      // Quota needs a server round-trip; don't hold up the form for it
+      loadQuota();
     }
   } catch (error) {
     console.warn("Could not load existing config:", error.message);
   }
 }
 
+// ─── Quota ───────────────────────────────────────────────────────────────────
+
+async function loadQuota() {
+  try {
+    const result = await messenger.runtime.sendMessage({
+      type: "getQuota",
+      accountId: currentAccountId,
+    });
+    if (result && result.success) {
+      showQuota(result.usage, result.total);
+    }
+  } catch (error) {
+    console.warn("Could not load quota:", error.message);
+  }
+}
+
 // ─── Initialize ──────────────────────────────────────────────────────────────
 
 async function init() {
   applyI18n();
 
+  // Available even without a working account: that's when it's needed most
+  loadDiagnostics();
+  dom.btnRefreshDiagnostics.addEventListener("click", loadDiagnostics);
+  dom.btnCopyDiagnostics.addEventListener("click", copyDiagnostics);
+  dom.btnClearDiagnostics.addEventListener("click", clearDiagnostics);
+
   currentAccountId = await getAccountId();
   if (!currentAccountId) {
     showStatus(
@@ -318,11 +952,42 @@ async function init() {
     return;
   }
 
+  updateAuthMethodVisibility();
   await loadExistingConfig();
+  loadRetentionLog();
 
   // Event listeners (no inline handlers — CSP compliant)
   dom.btnTest.addEventListener("click", testConnection);
+  dom.btnSsoLogin.addEventListener("click", ssoLogin);
+  dom.authMethod.addEventListener("change", () => {
+    // A token from another sign-in method must not be saved with this one
+    currentToken = null;
+    updateAuthMethodVisibility();
+  });
   dom.btnSave.addEventListener("click", saveConfig);
+  dom.sharePasswordMode.addEventListener("change", updateSharePasswordVisibility);
+  dom.repoSelect.addEventListener("change", () => {
+    updateRepoPasswordVisibility();
+    resetFolderBrowser();
+  });
+  dom.btnBrowseDir.addEventListener("click", toggleFolderBrowser);
+  dom.retentionMode.addEventListener("change", () => {
+    updateRetentionVisibility();
+    resetRetentionPreview();
+  });
+  dom.retentionDays.addEventListener("input", resetRetentionPreview);
+  dom.btnRetentionPreview.addEventListener("click", previewRetention);
+  dom.btnRetentionRun.addEventListener("click", runRetention);
+  dom.btnClearRetentionLog.addEventListener("click", clearRetentionLog);
+  dom.btnCreateUploadDir.addEventListener("click", createUploadDir);
+  dom.btnOpenHistory.addEventListener("click", () => {
+    messenger.tabs.create({ url: "history.html" });
+  });
+  dom.btnNewFolder.addEventListener("click", createSubfolder);
+  dom.uploadDir.addEventListener("input", () => {
+    folderNodes.get(selectedFolderPath)?.name.classList.remove("selected");
+    selectedFolderPath = null;
+  });
 
   // Enter key in OTP field triggers test
   dom.otpToken.addEventListener("keydown", (e) => {
@@ -332,13 +997,15 @@ async function init() {
     }
   });
 
-  // Enter key in password field triggers test
-  dom.password.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      e.preventDefault();
-      testConnection();
-    }
-  });
+  // Enter key in password or API token field triggers test
+  for (const input of [dom.password, dom.apiToken]) {
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        testConnection();
+      }
+    });
+  }
 }
 
 // Start via DOMContentLoaded (no inline onload — CSP compliant)
@@ -0,0 +1,91 @@
+"use strict";
+
+// ─── DOM References ──────────────────────────────────────────────────────────
+
+const dom = Object.freeze({
+  reauthAccount: document.getElementById("reauthAccount"),
+  otpToken: document.getElementById("otpToken"),
+  trustDevice: document.getElementById("trustDevice"),
+  btnSubmit: document.getElementById("btnSubmit"),
+  btnCancel: document.getElementById("btnCancel"),
+  reauthStatus: document.getElementById("reauthStatus"),
+});
+
+// ─── State ───────────────────────────────────────────────────────────────────
+
+let currentAccountId = null;
+
+// ─── Submit Code ─────────────────────────────────────────────────────────────
+
+/**
+ * Send the code to the background. On success the background closes this
+ * window and the waiting uploads continue.
+ */
+async function submitCode() {
+  hideStatus(dom.reauthStatus);
+
+  const otpToken = dom.otpToken.value.trim();
+  if (!/^\d{6}$/.test(otpToken)) {
+    showStatus(dom.reauthStatus, messenger.i18n.getMessage("error2faInvalid"), "error");
+    return;
+  }
+
+  setLoading(dom.btnSubmit, true);
+
+  try {
+    const result = await messenger.runtime.sendMessage({
+      type: "submitTwoFactor",
+      accountId: currentAccountId,
+      otpToken,
+      trustDevice: dom.trustDevice.checked,
+    });
+
+    if (result && result.success) {
+      showStatus(dom.reauthStatus, `✅ ${messenger.i18n.getMessage("statusReauthDone")}`, "success");
+      return;
+    }
+    showStatus(dom.reauthStatus, `❌ ${result?.error || messenger.i18n.getMessage("errorNoResponse")}`, "error");
+    dom.otpToken.select();
+  } catch (error) {
+    showStatus(dom.reauthStatus, `❌ ${error.message}`, "error");
+  } finally {
+    setLoading(dom.btnSubmit, false);
+  }
+}
+
+// ─── Initialize ──────────────────────────────────────────────────────────────
+
+async function init() {
+  applyI18n();
+
+  currentAccountId = new URLSearchParams(window.location.search).get("accountId");
+
+  const prompt = await messenger.runtime.sendMessage({
+    type: "getTwoFactorPrompt",
+    accountId: currentAccountId,
+  });
+  if (!prompt || !prompt.success) {
+    // Nothing is waiting for a code (anymore)
+    window.close();
+    return;
+  }
+
+  dom.reauthAccount.textContent = messenger.i18n.getMessage(
+    "hintReauthAccount", [prompt.username, prompt.serverUrl]
+  );
+  dom.otpToken.focus();
+
+  // Event listeners (no inline handlers — CSP compliant)
+  dom.btnSubmit.addEventListener("click", submitCode);
+  // Closing the window cancels the sign-in
+  dom.btnCancel.addEventListener("click", () => window.close());
+  dom.otpToken.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      submitCode();
+    }
+  });
+}
+
+// Start via DOMContentLoaded (no inline onload — CSP compliant)
+document.addEventListener("DOMContentLoaded", init);
\ No newline at end of file